@@ -0,0 +1,57 @@
+/**
+ * Builds the ESM (`release/*.module.js`) and CommonJS (`release/*.cjs`) package entries from the browser scripts in `src`.
+ * Each script is copied as is, with imports of the modules it uses added on top and its public classes exported at the end.
+ * Run with `npm run build`, it also runs before `npm pack` and `npm publish`. The minified files are built by the release workflow.
+ */
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs"
+import { dirname, join } from "node:path"
+import { fileURLToPath } from "node:url"
+
+var root = join(dirname(fileURLToPath(import.meta.url)), "..")
+
+/**
+ * The modules to build, in dependency order.
+ * @type {Array<{name: string, exports: string[], imports: Object<string, string[]>}>}
+ */
+var modules = [
+  {
+    name: "censor",
+    exports: ["censor", "CensorObject", "CensorClass", "CensorProxy", "CensorRegistration", "CensorContext", "CensorErrorEvent"],
+    imports: {},
+  },
+  { name: "injection-tooling", exports: ["censorResource", "softRefresh"], imports: {} },
+  { name: "trace", exports: ["CensorTrace"], imports: { censor: ["censor", "CensorObject", "CensorProxy"] } },
+  { name: "xhr", exports: ["CensorXHR"], imports: { censor: ["censor", "CensorObject", "CensorProxy", "CensorRegistration"] } },
+  { name: "har", exports: ["CensorHar"], imports: { censor: ["censor", "CensorObject", "CensorProxy"], xhr: ["CensorXHR"] } },
+  { name: "fetch", exports: ["CensorFetch", "CensorRoute"], imports: { censor: ["censor", "CensorObject", "CensorProxy"] } },
+  {
+    name: "websocket",
+    exports: ["CensorWebSocket", "CensorFakeSocket", "CensorSocketConnection"],
+    imports: { censor: ["censor", "CensorObject", "CensorClass", "CensorRegistration"] },
+  },
+  { name: "storage", exports: ["CensorStorage", "CensorStorageArea"], imports: { censor: ["censor", "CensorObject"] } },
+  { name: "clock", exports: ["CensorClock"], imports: { censor: ["censor", "CensorObject", "CensorProxy"] } },
+  {
+    name: "deterministic",
+    exports: ["CensorDeterministic"],
+    imports: { censor: ["censor", "CensorObject", "CensorProxy"], clock: ["CensorClock"] },
+  },
+  { name: "console", exports: ["CensorConsole"], imports: { censor: ["censor", "CensorObject"], trace: ["CensorTrace"] } },
+  { name: "http", exports: ["CensorHttp"], imports: { censor: ["censor", "CensorObject", "CensorRegistration"] } },
+  { name: "fs", exports: ["CensorFs", "CensorVolume"], imports: { censor: ["censor", "CensorObject"] } },
+  { name: "process", exports: ["CensorProcess"], imports: { censor: ["censor", "CensorObject", "CensorRegistration"] } },
+  {
+    name: "modules",
+    exports: ["CensorModules"],
+    imports: { censor: ["censor", "CensorObject", "CensorClass", "CensorRegistration"] },
+  },
+]
+
+mkdirSync(join(root, "release"), { recursive: true })
+for (const { name, exports, imports } of modules) {
+  let source = readFileSync(join(root, "src", name + ".js"), "utf8")
+  let esm = Object.entries(imports).map(([from, names]) => "import {" + names.join(", ") + '} from "./' + from + '.module.js"\n')
+  let cjs = Object.entries(imports).map(([from, names]) => "const {" + names.join(", ") + '} = require("./' + from + '.cjs")\n')
+  writeFileSync(join(root, "release", name + ".module.js"), esm.join("") + source + "export {" + exports.join(", ") + "}\n")
+  writeFileSync(join(root, "release", name + ".cjs"), cjs.join("") + source + "module.exports = {" + exports.join(", ") + "}\n")
+}
@@ -28,6 +28,82 @@
  * @property {function(*):void} [set]
  */
 
+/**
+ * Undo records for every property patched by Censor, keyed by the patched object and then by property name. Originals are kept here instead of on the censored object, so censored objects enumerate and serialize unchanged.
+ * @type {WeakMap<Object, Map<string, Object>>}
+ * @private
+ */
+const censorPatches = new WeakMap()
+
+/**
+ * Listeners wrapped by a censored `addEventListener`, keyed by event target and then by type and capture flag, so that `removeEventListener` can find the wrapper of a listener.
+ * @type {WeakMap<Object, Map<string, Map<(function|Object), Object>>>}
+ * @private
+ */
+const censorListeners = new WeakMap()
+
+/**
+ * Dispatches a {@link CensorErrorEvent} whenever a handle fails, available as `censor.events`.
+ * @type {EventTarget}
+ * @private
+ */
+const censorEvents = new EventTarget()
+
+/**
+ * What happens when a handle throws or rejects, set per censor with the `onError` option.
+ * * `"rethrow"` (default): the error goes to the caller of the censored function.
+ * * `"fail-open"`: the original is called with the arguments the failing handle got, skipping the remaining handles. If the handle already passed the call on, that result is used.
+ * * `"fail-closed"`: the call is blocked and returns `undefined` (or resolves to it).
+ *
+ * Errors thrown by the original itself are always passed on unchanged. Rejections are only handled for native promises, other thenables are returned untouched, and with `"rethrow"` the promise the handle returned is passed on as it is.
+ * @typedef {string} errorPolicy
+ */
+
+/**
+ * The event dispatched on `censor.events` when a handle throws or rejects, whatever the {@link errorPolicy}.
+ * @example
+ * censor.events.addEventListener("error", (event) => {
+ *   console.warn("Censor handle for", event.context.name, "failed:", event.error)
+ * })
+ * @class
+ * @public
+ */
+class CensorErrorEvent extends Event {
+  /**
+   * The error the handle threw or rejected with.
+   * @type {*}
+   * @public
+   */
+  error
+
+  /**
+   * The context that was passed to the failing handle.
+   * @type {CensorContext}
+   * @public
+   */
+  context
+
+  /**
+   * The policy that was applied.
+   * @type {errorPolicy}
+   * @public
+   */
+  policy
+
+  /**
+   * Create a error event. (Not for general use)
+   * @param {*} error - The error the handle threw or rejected with.
+   * @param {CensorContext} context - The context that was passed to the failing handle.
+   * @param {errorPolicy} policy - The policy that was applied.
+   */
+  constructor(error, context, policy) {
+    super("error")
+    this.error = error
+    this.context = context
+    this.policy = policy
+  }
+}
+
 /**
  * A class for providing context and interaction within the Censor handle.
  * @class
@@ -48,6 +124,13 @@ class CensorContext {
    */
   parent
 
+  /**
+   * The name of the function, attribute or event the handle was called for. Useful when one handle is registered on several names.
+   * @type {string}
+   * @public
+   */
+  name
+
   /**
    * The "original" based on situation.
    * @type {function(...*):*}
@@ -56,7 +139,7 @@ class CensorContext {
   callback
 
   /**
-   * The object that the Context is attached to.
+   * The object that the Context is attached to. For handles on prototypes (see {@link CensorClass} prototype mode), this is the instance the function, attribute or event was used on.
    * @type {*}
    * @public
    */
@@ -95,6 +178,22 @@ class CensorContext {
     return this.next(...this.args)
   }
 
+  /**
+   * Same as {@link CensorContext#pass}, but always returns a promise, whether or not the original returns a thenable or throws synchronously.
+   * @example
+   * censor(window).whenCall("fetch", async (ctx) => {
+   *   var response = await ctx.passAsync({ timeout: 5000 })
+   *   return response
+   * })
+   * @param {Object} [options={}] - The deadline options.
+   * @param {number} [options.timeout] - Reject with a `TimeoutError` after this many milliseconds.
+   * @param {AbortSignal} [options.signal] - Reject with the abort reason once aborted.
+   * @returns {Promise<*>} - The result of the original function.
+   */
+  passAsync(options = {}) {
+    return CensorObject.withDeadline(new Promise((resolve) => resolve(this.pass())), options)
+  }
+
   /**
    * Shallow copy the current object.
    * @returns {CensorContext} the copied objevt
@@ -127,6 +226,80 @@ class CensorCallContext extends CensorContext {
  * @returns {*} - The result you want to be passed to the original.
  */
 
+/**
+ * Options accepted when registering a handle.
+ * @typedef {Object} handleOptions
+ * @property {number} [priority=0] - Handles with a higher priority run first (closer to the caller), equal priorities run in registration order.
+ * @property {string} [id] - Registering a handle with the same id on the same name replaces the previous one.
+ * @property {function(CensorContext, *):*} [onResolve] - Called with the result of the handle once it resolves (or right away if it isn't a thenable), the return value replaces the result.
+ * @property {function(CensorContext, *):*} [onReject] - Called with the error once the handle rejects (or throws), the return value recovers the result. Rethrow to keep it failed.
+ * @property {number} [timeout] - Reject a thenable result with a `TimeoutError` after this many milliseconds.
+ * @property {AbortSignal} [signal] - Reject a thenable result with the abort reason once aborted.
+ */
+
+/**
+ * A disposable handle returned by every registration on a {@link CensorObject} or {@link CensorProxy}. Registrations can still be chained from it, and disposing it undoes every registration in the chain.
+ * @class
+ * @constructor
+ * @public
+ * @example
+ * var registration = censor(window).whenCall("fetch", (ctx) => ctx.pass()).on("load", (ctx) => ctx.pass())
+ * registration.dispose() // fetch and the load event are back to their originals
+ */
+class CensorRegistration {
+  /**
+   * The Censor object the registration was made through.
+   * @type {CensorObject|CensorProxy}
+   * @public
+   */
+  parent
+  #disposer
+  #chained
+
+  /**
+   * Create a registration. (Not for general use)
+   * @param {CensorObject|CensorProxy} parent - The Censor object the registration was made through.
+   * @param {function():void} disposer - Undoes the registration.
+   */
+  constructor(parent, disposer) {
+    this.parent = parent
+    this.#disposer = disposer
+    this.#chained = []
+  }
+
+  /**
+   * Undo this registration and every registration chained from it.
+   */
+  dispose() {
+    for (const registration of this.#chained.reverse()) {
+      registration.dispose()
+    }
+    this.#chained = []
+    this.#disposer()
+    this.#disposer = () => {}
+  }
+
+  /**
+   * Same as {@link CensorRegistration#dispose}, for use with `using` declarations.
+   */
+  [Symbol.dispose ?? Symbol.for("Symbol.dispose")]() {
+    this.dispose()
+  }
+
+  whenCall(...args) {
+    this.#chained.push(this.parent.whenCall(...args))
+    return this
+  }
+  whenAttr(...args) {
+    this.#chained.push(this.parent.whenAttr(...args))
+    return this
+  }
+  on(...args) {
+    this.#chained.push(this.parent.on(...args))
+    return this
+  }
+}
+
 /**
  * The main Censor class. Applies censor effects to any object, and effects are independent of the Censor class object.
  * @class
@@ -141,6 +314,13 @@ class CensorObject {
    */
   object
 
+  /**
+   * What happens when a handle throws or rejects.
+   * @type {errorPolicy}
+   * @public
+   */
+  onError
+
   /**
    * A type assertion util based on `typeof`
    * @param {Object} obj - The object to test,
@@ -152,6 +332,24 @@ class CensorObject {
     }
   }
 
+  /**
+   * Walk the inheritance tree of a object, starting with the object itself and stopping before the root prototype (usually `Object.prototype`).
+   * @param {Object} obj - The object to walk.
+   * @param {number} [maxdepth=10] - The maximum search depth.
+   * @yields {Object} - The object and each of its prototypes.
+   */
+  static *walkPrototypes(obj, maxdepth = 10) {
+    var depth = 0
+    while (obj !== null && depth <= maxdepth) {
+      if (depth > 0 && Object.getPrototypeOf(obj) === null) {
+        return
+      }
+      yield obj
+      depth += 1
+      obj = Object.getPrototypeOf(obj)
+    }
+  }
+
   /**
    * A recursive version of `getOwnPropertyDescriptor`, searching the inheritance tree.
    * @param {Object} obj - The object to search.
@@ -160,25 +358,302 @@ class CensorObject {
    * @returns {PropertyDescription} - The found property descriptor.
    */
   static getPropertyDescriptor(obj, name, maxdepth = 10) {
-    var current = obj
-    var depth = 0
-    while (obj.constructor !== Object && depth <= maxdepth) {
-      if (obj.hasOwnProperty(name)) {
-        return Object.getOwnPropertyDescriptor(obj, name)
+    for (const level of CensorObject.walkPrototypes(obj, maxdepth)) {
+      if (Object.prototype.hasOwnProperty.call(level, name)) {
+        return Object.getOwnPropertyDescriptor(level, name)
       }
-      depth += 1
-      obj = Object.getPrototypeOf(obj)
     }
     return null
   }
 
+  /**
+   * Insert a handle into a chain. Higher priorities run first, equal priorities run in registration order. (Not for general use)
+   * @param {Object[]} chain - The chain entries.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {Object} - The chain entry.
+   */
+  static insertHandle(chain, handle, options = {}) {
+    var entry = { handle, options, priority: options.priority ?? 0, id: options.id ?? null }
+    if (entry.id !== null) {
+      var existing = chain.findIndex((other) => other.id === entry.id)
+      if (existing !== -1) {
+        chain.splice(existing, 1) // Same id replaces
+      }
+    }
+    var index = chain.findIndex((other) => other.priority < entry.priority)
+    chain.splice(index === -1 ? chain.length : index, 0, entry)
+    return entry
+  }
+
+  /**
+   * Run a chain of handles, each handle's `ctx.next()` calling the next one and the last calling `original`. (Not for general use)
+   * @param {CensorObject|CensorProxy} parent - The Censor object the handles were registered through.
+   * @param {string} name - The name given to each context.
+   * @param {Object[]} chain - The chain entries.
+   * @param {*[]} args - The arguments passed to the first handle.
+   * @param {function(...*):*} original - Called at the end of the chain.
+   * @param {*} [subject] - Overrides the `subject` of each context, eg. with the instance a prototype function was called on.
+   * @returns {*} - The result of the first handle.
+   */
+  static runChain(parent, name, chain, args, original, subject) {
+    chain = [...chain] // Registrations made during the call apply to the next one
+    var policy = parent.onError ?? "rethrow"
+    var step = (index, args) => {
+      if (index >= chain.length) {
+        return original(...args)
+      }
+      var ctx = new CensorContext(parent, name)
+      var passed = false
+      var passedResult
+      var downstream = new Set() // Errors from further down the chain are not this handle's fault
+      ctx.args = args
+      ctx.callback = (...nextArgs) => {
+        passed = true
+        try {
+          passedResult = step(index + 1, nextArgs)
+        } catch (error) {
+          downstream.add(error)
+          throw error
+        }
+        if (passedResult instanceof Promise) {
+          passedResult.then(undefined, (error) => downstream.add(error)) // Only observed, the handle gets the same promise
+        }
+        return passedResult
+      }
+      if (subject !== undefined) {
+        ctx.subject = subject
+      }
+
+      var report = (error) => censorEvents.dispatchEvent(new CensorErrorEvent(error, ctx, policy))
+      var fail = (error) => {
+        if (downstream.has(error)) {
+          throw error
+        }
+        report(error)
+        if (policy === "fail-closed") {
+          return undefined
+        } else if (policy === "fail-open") {
+          return passed ? passedResult : original(...args) // Fail open, the remaining handles are skipped too
+        }
+        throw error
+      }
+      var result
+      try {
+        result = CensorObject.settle(ctx, () => chain[index].handle(ctx, ...args), chain[index].options)
+      } catch (error) {
+        return fail(error)
+      }
+      if (!(result instanceof Promise) || (passed && result === passedResult)) {
+        return result // Other thenables, like lazy query builders, are never touched
+      }
+      if (policy !== "rethrow") {
+        return result.then(undefined, fail) // The policy decides what a rejection resolves to
+      }
+      result.then(undefined, (error) => downstream.has(error) || report(error)) // Only observed, the caller gets the same promise
+      return result
+    }
+    return step(0, args)
+  }
+
+  /**
+   * Check a {@link errorPolicy}. (Not for general use)
+   * @param {errorPolicy} policy - The policy to check.
+   */
+  static checkPolicy(policy) {
+    if (!["rethrow", "fail-open", "fail-closed"].includes(policy)) {
+      throw new TypeError("Got onError " + policy + " expected rethrow, fail-open or fail-closed")
+    }
+  }
+
+  /**
+   * Load a Node builtin module, if the runtime has one. Uses `process.getBuiltinModule`, or `require` where it exists.
+   * @param {string} name - The module name, without `node:`.
+   * @returns {Object|undefined} - The module, or `undefined` outside of Node.
+   */
+  static builtin(name) {
+    if (typeof globalThis.process?.getBuiltinModule === "function") {
+      return globalThis.process.getBuiltinModule("node:" + name)
+    }
+    return typeof require === "function" ? require("node:" + name) : undefined
+  }
+
+  /**
+   * Apply the promise related {@link handleOptions} to the result of a handle. Thenables get the deadline and the `onResolve`/`onReject` hooks, other results and synchronous errors only get the hooks. (Not for general use)
+   * @param {CensorContext} ctx - The context passed to the handle.
+   * @param {function():*} run - Runs the handle.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {*} - The result, a promise if the handle returned a thenable.
+   */
+  static settle(ctx, run, options = {}) {
+    var { onResolve, onReject } = options
+    if (!onResolve && !onReject && options.timeout === undefined && !options.signal) {
+      return run()
+    }
+    var result
+    try {
+      result = run()
+    } catch (error) {
+      if (!onReject) {
+        throw error
+      }
+      return onReject(ctx, error)
+    }
+    if (typeof result?.then !== "function") {
+      return onResolve ? onResolve(ctx, result) : result
+    }
+    return CensorObject.withDeadline(Promise.resolve(result), options).then(
+      onResolve && ((value) => onResolve(ctx, value)),
+      onReject && ((error) => onReject(ctx, error)),
+    )
+  }
+
+  /**
+   * Reject a promise early on a timeout or when a signal is aborted. The underlying operation keeps running unless it listens to the signal itself.
+   * @param {Promise<*>} promise - The promise to race.
+   * @param {Object} [options={}] - The deadline options.
+   * @param {number} [options.timeout] - Reject with a `TimeoutError` after this many milliseconds.
+   * @param {AbortSignal} [options.signal] - Reject with the abort reason once aborted.
+   * @returns {Promise<*>} - The raced promise.
+   */
+  static withDeadline(promise, options = {}) {
+    var { timeout, signal } = options
+    if (timeout === undefined && !signal) {
+      return promise
+    }
+    return new Promise((resolve, reject) => {
+      var abort = () => reject(signal.reason ?? new DOMException("The operation was aborted.", "AbortError"))
+      if (signal?.aborted) {
+        return abort()
+      }
+      signal?.addEventListener("abort", abort, { once: true })
+      var timer
+      if (timeout !== undefined) {
+        timer = setTimeout(() => reject(new DOMException("The operation timed out.", "TimeoutError")), timeout)
+      }
+      promise.then(resolve, reject).finally(() => {
+        clearTimeout(timer)
+        signal?.removeEventListener("abort", abort)
+      })
+    })
+  }
+
   /**
    * Create a Censor object
-   * @param {Object} object - The base object.
+   * @param {Object|Function} object - The base object. Functions are censored like objects, through their own properties (eg. static methods).
+   * @param {Object} [options={}] - The censor options.
+   * @param {errorPolicy} [options.onError="rethrow"] - What happens when a handle throws or rejects.
    */
-  constructor(object) {
-    CensorObject.typeCheck(object, "object")
+  constructor(object, options = {}) {
+    if (typeof object !== "function") {
+      CensorObject.typeCheck(object, "object")
+    }
     this.object = object
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+  }
+
+  /**
+   * Save the original state of a property before it is first patched, so that it can be restored.
+   * @param {string} name - The name of the property.
+   * @returns {Object} - The undo record of the property.
+   * @private
+   */
+  #track(name) {
+    if (!censorPatches.has(this.object)) {
+      censorPatches.set(this.object, new Map())
+    }
+    var patches = censorPatches.get(this.object)
+    if (!patches.has(name)) {
+      patches.set(name, {
+        descriptor: Object.getOwnPropertyDescriptor(this.object, name),
+        chains: { call: [], get: [], set: [], event: [] },
+      })
+    }
+    return patches.get(name)
+  }
+
+  /**
+   * Insert a handle into one of the chains of `name`.
+   * @param {string} name - The name of the property.
+   * @param {string} kind - The chain to insert into, one of `call`, `get`, `set` or `event`.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {Object} - The chain entry.
+   * @private
+   */
+  #hook(name, kind, handle, options) {
+    return CensorObject.insertHandle(this.#track(name).chains[kind], handle, options)
+  }
+
+  /**
+   * Remove a chain entry, restoring `name` once nothing is left registered on it.
+   * @param {string} name - The name of the property.
+   * @param {string} kind - The chain the entry is in.
+   * @param {Object} entry - The chain entry.
+   * @returns {boolean} - Whether the entry was still registered.
+   * @private
+   */
+  #unhook(name, kind, entry) {
+    var record = censorPatches.get(this.object)?.get(name)
+    var index = record?.chains[kind].indexOf(entry) ?? -1
+    if (index === -1) {
+      return false
+    }
+    record.chains[kind].splice(index, 1)
+    if (Object.values(record.chains).every((chain) => chain.length === 0)) {
+      this.restore(name)
+    }
+    return true
+  }
+
+  /**
+   * Restore the original function, property descriptor or event attribute behind `name`, removing every handle registered on it. Listeners wrapped through a censored `addEventListener` are unwrapped.
+   * @param {string} name - The name of the function or attribute.
+   * @returns {CensorObject} - Returns self for chaining.
+   */
+  restore(name) {
+    CensorObject.typeCheck(name, "string")
+    var patches = censorPatches.get(this.object)
+    if (!patches?.has(name)) {
+      return this
+    }
+    var record = patches.get(name)
+    patches.delete(name)
+    for (const chain of Object.values(record.chains)) {
+      chain.length = 0
+    }
+
+    for (const ref of record.targets ?? []) {
+      let target = ref.deref()
+      for (const listeners of censorListeners.get(target)?.values() ?? []) {
+        for (const [listener, { type, wrapped, options }] of listeners) {
+          target.removeEventListener(type, wrapped, options)
+          Reflect.apply(record.original, target, [type, listener, options])
+        }
+      }
+      censorListeners.delete(target)
+    }
+    if (record.descriptor) {
+      Object.defineProperty(this.object, name, record.descriptor)
+    } else {
+      delete this.object[name]
+    }
+    if (record.hasOwnProperty("unwrapped")) {
+      this.object[name] = record.unwrapped // Put back the handler that was wrapped by the setter
+    }
+    return this
+  }
+
+  /**
+   * Restore everything patched on the base object. See {@link CensorObject#restore}.
+   * @returns {CensorObject} - Returns self for chaining.
+   */
+  restoreAll() {
+    for (const name of [...(censorPatches.get(this.object)?.keys() ?? [])]) {
+      this.restore(name)
+    }
+    return this
   }
 
   // Functions
@@ -190,7 +665,9 @@ class CensorObject {
    * @returns {*} - The function result
    */
   call(name, ...args) {
-    return this.object["_CENSOR_" + name](...args) // Required because certain functions can only be called from the right class
+    var record = censorPatches.get(this.object)?.get(name)
+    var original = record?.hasOwnProperty("original") ? record.original : this.object[name]
+    return Reflect.apply(original, this.object, args) // Required because certain functions can only be called from the right class
   }
 
   /**
@@ -199,7 +676,11 @@ class CensorObject {
    * @returns {*} - The value that was originally returned.
    */
   getAttr(name) {
-    return this.object["_CENSOR_get_" + name]() // Required because certain functions can only be called from the right class
+    var record = censorPatches.get(this.object)?.get(name)
+    if (!record?.hasOwnProperty("getter")) {
+      return this.object[name]
+    }
+    return record.getter ? Reflect.apply(record.getter, this.object, []) : undefined // Required because certain functions can only be called from the right class
   }
 
   /**
@@ -208,136 +689,425 @@ class CensorObject {
    * @param {*} asgn - Object to assign.
    */
   setAttr(name, asgn) {
-    this.object["_CENSOR_set_" + name](asgn) // Required because certain functions can only be called from the right class
+    var record = censorPatches.get(this.object)?.get(name)
+    if (!record?.hasOwnProperty("setter")) {
+      this.object[name] = asgn
+      return
+    }
+    if (record.setter) {
+      Reflect.apply(record.setter, this.object, [asgn]) // Required because certain functions can only be called from the right class
+    }
   }
 
   /**
-   * Register a handle for when function with name is called from base object
+   * Add a handle to the call chain of `name`, replacing the function with the chain runner on first use.
    * @param {string} name - The name of the function.
    * @param {genericHandle} handle - The handler function.
-   * @returns {CensorObject} - Returns self for chaining.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {Object} - The chain entry.
+   * @private
    */
-  whenCall(name, handle) {
-    CensorObject.typeCheck(name, "string")
-    CensorObject.typeCheck(this.object[name], "function")
-    CensorObject.typeCheck(handle, "function")
-    if (!this.object.hasOwnProperty("_CENSOR_" + name)) {
-      this.object["_CENSOR_" + name] = this.object[name] // Override old hooks
+  #hookCall(name, handle, options) {
+    var record = this.#track(name)
+    if (!record.hasOwnProperty("wrapper")) {
+      let censorObject = this
+      record.original = this.object[name]
+      record.wrapper = function (...args) {
+        let thisArg = this ?? censorObject.object // Keep the caller's binding, eg. fn.call(other)
+        let newTarget = new.target === record.wrapper ? record.original : new.target // Constructors matched by a pattern, eg. console.Console
+        return CensorObject.runChain(
+          censorObject,
+          name,
+          record.chains.call,
+          args,
+          (...nextArgs) =>
+            newTarget ? Reflect.construct(record.original, nextArgs, newTarget) : Reflect.apply(record.original, thisArg, nextArgs),
+          thisArg,
+        )
+      }
+      if (record.original.prototype) {
+        record.wrapper.prototype = record.original.prototype // Keep instanceof working
+      }
+      Object.defineProperty(this.object, name, {
+        value: record.wrapper,
+        writable: record.descriptor?.writable ?? true,
+        enumerable: record.descriptor?.enumerable ?? false, // Inherited methods stay hidden from enumeration
+        configurable: true,
+      })
     }
+    return this.#hook(name, "call", handle, options)
+  }
 
-    var ctx = new CensorContext(this, name)
-    ctx.callback = (...args) => {
-      return this.call(name, ...args)
+  /**
+   * Find the names of all functions on a object and its prototypes that match `pattern`. (Not for general use)
+   * @param {Object} object - The object to search.
+   * @param {string|RegExp|Array<string|RegExp>} pattern - `"*"` for every function, a `RegExp` to test names against, or a array of either or exact names.
+   * @returns {string[]} - The matched names.
+   */
+  static matchMethods(object, pattern) {
+    if (Array.isArray(pattern)) {
+      return [...new Set(pattern.flatMap((item) => (typeof item === "string" && item !== "*" ? [item] : CensorObject.matchMethods(object, item))))]
     }
-    var f
-    if (handle[Symbol.toStringTag] === "AsyncFunction") {
-      f = async (...args) => {
-        var _ctx = ctx.expandUpon()
-        _ctx.args = args
-        return await handle(_ctx, ...args)
+    var matches = (name) => {
+      if (pattern === "*") {
+        return true
       }
-    } else {
-      f = (...args) => {
-        var _ctx = ctx.expandUpon()
-        _ctx.args = args
-        return handle(_ctx, ...args)
+      pattern.lastIndex = 0 // Global patterns keep state between tests
+      return pattern.test(name)
+    }
+    var names = new Set()
+    for (const level of CensorObject.walkPrototypes(object)) {
+      for (const name of Object.getOwnPropertyNames(level)) {
+        let description = Object.getOwnPropertyDescriptor(level, name)
+        if (name === "constructor" || typeof description.value !== "function") {
+          continue // Skip accessors so that no getters are triggered
+        }
+        if (matches(name)) {
+          names.add(name)
+        }
       }
     }
-    this.object[name] = f
-    return this // For conjoining, eg. censor(obj).whenCall(...).on(...).whenAttr(...)
+    return [...names]
+  }
+
+  /**
+   * Register a handle for when function with name is called from base object. Handles registered on the same name form a chain, where `ctx.next()` calls the next handle and the last handle calls the original.
+   *
+   * Several functions can be censored at once by passing `"*"` (every function), a `RegExp` or a array of names. The base object and its prototypes are searched, and `ctx.name` tells which function was called. Censored constructors still work with `new`.
+   * @example
+   * censor(Storage.prototype).whenCall(/Item$/, (ctx) => {
+   *   console.log(ctx.name, ctx.subject, ctx.args)
+   *   return ctx.pass()
+   * })
+   * @param {string|RegExp|Array<string|RegExp>} name - The name of the function, or a pattern matching several.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration, can be chained.
+   */
+  whenCall(name, handle, options = {}) {
+    if (name === "*" || name instanceof RegExp || Array.isArray(name)) {
+      let registrations = CensorObject.matchMethods(this.object, name).map((match) => this.whenCall(match, handle, options))
+      return new CensorRegistration(this, () => {
+        for (const registration of registrations) {
+          registration.dispose()
+        }
+      })
+    }
+    CensorObject.typeCheck(name, "string")
+    CensorObject.typeCheck(this.object[name], "function")
+    CensorObject.typeCheck(handle, "function")
+    var entry = this.#hookCall(name, handle, options)
+    return new CensorRegistration(this, () => this.#unhook(name, "call", entry)) // For conjoining, eg. censor(obj).whenCall(...).on(...).whenAttr(...)
   }
 
   // Attributes
 
   /**
-   * Register a handle for when a attribute with name is modified or retrived from base object
+   * Define the censored property for `name`. Both halves always run their chain, so a half without handles falls through to the original.
+   * @param {string} name - The name of the attribute.
+   * @private
+   */
+  #defineAttr(name) {
+    var record = this.#track(name)
+    var censorObject = this
+    var desc = {
+      enumerable: record.enumerable,
+      configurable: true, // Must stay configurable to be restored, non-configurable own properties can't be censored in place
+    }
+
+    desc["get"] = function () {
+      let thisArg = this ?? censorObject.object
+      return CensorObject.runChain(
+        censorObject,
+        name,
+        record.chains.get,
+        [],
+        () => (record.getter ? Reflect.apply(record.getter, thisArg, []) : undefined),
+        thisArg,
+      )
+    }
+    desc["set"] = function (asgn) {
+      let thisArg = this ?? censorObject.object
+      CensorObject.runChain(
+        censorObject,
+        name,
+        record.chains.set,
+        [asgn],
+        (_asgn) => {
+          if (record.setter) {
+            Reflect.apply(record.setter, thisArg, [_asgn])
+          } // No setter, like a assignment outside strict mode
+        },
+        thisArg,
+      )
+    }
+    Object.defineProperty(this.object, name, desc)
+  }
+
+  /**
+   * Add a handle to the get or set chain of `name`.
+   * @param {string} name - The name of the attribute.
+   * @param {string} kind - Either `get` or `set`.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {Object} - The chain entry.
+   * @private
+   */
+  #hookAttr(name, kind, handle, options) {
+    var record = this.#track(name)
+    if (!record.hasOwnProperty("attr")) {
+      let description = CensorObject.getPropertyDescriptor(this.object, name) ?? { value: undefined, writable: true }
+      if (description.hasOwnProperty("value")) {
+        let object = this.object
+        let owned = (receiver) => receiver !== object && Object(receiver) === receiver
+        record.value = description.value // Data properties (and missing ones) are kept in a backing slot
+        record.values = new WeakMap() // Other receivers, eg. instances of a censored prototype, get their own slot
+        record.getter = function () {
+          return owned(this) && record.values.has(this) ? record.values.get(this) : record.value
+        }
+        record.setter = function (asgn) {
+          if (!description.writable) {
+            return // Read-only, like a assignment outside strict mode
+          }
+          if (!owned(this)) {
+            record.value = asgn
+            return
+          }
+          record.values.set(this, asgn)
+        }
+      } else {
+        record.setter = description["set"]
+        record.getter = description["get"]
+      }
+      record.enumerable = description.enumerable ?? true
+      record.attr = true
+      this.#defineAttr(name)
+    }
+    return this.#hook(name, kind, handle, options)
+  }
+
+  /**
+   * Register a handle for when a attribute with name is modified or retrived from base object. Get and set handles chain the same way as {@link CensorObject#whenCall}.
+   *
+   * Only `get` or only `set` can be given, the other half falls through to the original. Accessor properties pass through to the original getter and setter, keeping their enumerability. Plain value properties, own or inherited, and properties that don't exist yet have their value kept in a backing slot that `ctx.pass()` reads and writes, with a separate slot for each instance when the base object is a prototype. Restoring puts the original descriptor back, or removes the property if there was none, so values assigned while censored are dropped.
    * @param {string} name - The name of the function.
    * @param {Object} handles - The handler functions.
    * @param {genericHandle} [handles.get] - The get handler for the attribute.
    * @param {genericHandle} [handles.set] - The set handler for the attribute.
-   * @returns {CensorObject} - Returns self for chaining.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration, can be chained.
    */
-  whenAttr(name, handles) {
+  whenAttr(name, handles, options = {}) {
     CensorObject.typeCheck(name, "string")
     CensorObject.typeCheck(handles, "object")
 
-    let description = CensorObject.getPropertyDescriptor(this.object, name)
-    this.object["_CENSOR_set_" + name] = description["set"]
-    this.object["_CENSOR_get_" + name] = description["get"]
-    let originalObject = this
+    var entries = []
+    for (const kind of ["get", "set"]) {
+      if (handles.hasOwnProperty(kind)) {
+        entries.push([kind, this.#hookAttr(name, kind, handles[kind], options)])
+      }
+    }
+    return new CensorRegistration(this, () => {
+      for (const [kind, entry] of entries) {
+        this.#unhook(name, kind, entry)
+      }
+    }) // For conjoining, eg. censor(obj).whenCall(...).on(...).whenAttr(...)
+  }
 
-    var desc = {}
-    var context = new CensorContext(this, name)
+  // Events
 
-    if (handles.hasOwnProperty("get")) {
-      desc["get"] = () => {
-        var _context = context.expandUpon()
-        _context.args = []
-        _context.callback = () => originalObject.getAttr(name)
-        return handles["get"](_context)
-      }
+  /**
+   * Wrap a listener so that it runs the event chain registered for `event` at the time it is triggered.
+   * @param {string} event - The name of the event.
+   * @param {function(...*):*|Object} listener - The original listener, a function or a object with a `handleEvent` method.
+   * @param {function():void} [onDispatch] - Called every time before the chain runs.
+   * @returns {function(...*):*} - The wrapped listener.
+   * @private
+   */
+  #wrapListener(event, listener, onDispatch = () => {}) {
+    var censorObject = this
+    return function (...args) {
+      onDispatch()
+      let chain = censorPatches.get(censorObject.object)?.get("on" + event)?.chains.event ?? []
+      return CensorObject.runChain(
+        censorObject,
+        event,
+        chain,
+        args,
+        (...nextArgs) => {
+          if (typeof listener === "function") {
+            return Reflect.apply(listener, this, nextArgs)
+          }
+          return listener.handleEvent(...nextArgs) // Looked up on every dispatch, like native listeners
+        },
+        this,
+      )
     }
-    if (handles.hasOwnProperty("set")) {
-      desc["set"] = (asgn) => {
-        var _context = context.expandUpon()
-        _context.args = [asgn]
-        _context.callback = (_asgn) => originalObject.setAttr(name, _asgn)
+  }
 
-        handles["set"](_context, asgn)
-      }
+  /**
+   * Get the wrapped listeners of a target for a type and capture flag, the same way event listeners are identified natively.
+   * @param {Object} target - The event target.
+   * @param {string} type - The event type.
+   * @param {boolean|Object} [options] - The options passed to `addEventListener` or `removeEventListener`.
+   * @returns {Map<(function|Object), Object>} - The wrapped listeners keyed by original listener.
+   * @private
+   */
+  static #listenersOf(target, type, options) {
+    var capture = typeof options === "boolean" ? options : Boolean(options?.capture)
+    var key = type + (capture ? " capture" : "")
+    if (!censorListeners.has(target)) {
+      censorListeners.set(target, new Map())
     }
+    var byType = censorListeners.get(target)
+    if (!byType.has(key)) {
+      byType.set(key, new Map())
+    }
+    return byType.get(key)
+  }
 
-    Object.defineProperty(this.object, name, desc)
-    return this // For conjoining, eg. censor(obj).whenCall(...).on(...).whenAttr(...)
+  /**
+   * Patch `addEventListener` and `removeEventListener` once so that listeners run the event chains, keeping track of the wrapped listeners.
+   * @private
+   */
+  #hookListeners() {
+    var addRecord = this.#track("addEventListener")
+    if (!addRecord.hasOwnProperty("eventEntry")) {
+      addRecord.targets ??= new Set() // WeakRefs to every target with wrapped listeners, to unwrap on restore
+      addRecord.seen ??= new WeakSet()
+      addRecord.eventEntry = this.#hookCall(
+        "addEventListener",
+        (ctx, type, listener, options) => {
+          if (listener === null || (typeof listener !== "object" && typeof listener !== "function") || options?.signal?.aborted) {
+            return ctx.pass()
+          }
+          var target = ctx.subject
+          var listeners = CensorObject.#listenersOf(target, type, options)
+          if (!listeners.has(listener)) {
+            let entry = { type, options }
+            entry.wrapped = this.#wrapListener(type, listener, () => {
+              if (options?.once && listeners.get(listener) === entry) {
+                listeners.delete(listener)
+              }
+            })
+            listeners.set(listener, entry)
+            options?.signal?.addEventListener("abort", () => listeners.delete(listener), { once: true })
+          }
+          if (!addRecord.seen.has(target)) {
+            addRecord.seen.add(target)
+            addRecord.targets.add(new WeakRef(target))
+          }
+          return ctx.next(type, listeners.get(listener).wrapped, options)
+        },
+        { priority: -Infinity },
+      )
+    }
+
+    var removeRecord = this.#track("removeEventListener")
+    if (!removeRecord.hasOwnProperty("eventEntry")) {
+      removeRecord.eventEntry = this.#hookCall(
+        "removeEventListener",
+        (ctx, type, listener, options) => {
+          var listeners = censorListeners.get(ctx.subject) && CensorObject.#listenersOf(ctx.subject, type, options)
+          var entry = listeners?.get(listener)
+          if (!entry) {
+            return ctx.pass()
+          }
+          listeners.delete(listener)
+          return ctx.next(type, entry.wrapped, options)
+        },
+        { priority: -Infinity },
+      )
+    }
   }
 
-  // Events
+  /**
+   * Remove the internal `addEventListener` and `removeEventListener` handles once no event has handles left.
+   * @private
+   */
+  #unhookListeners() {
+    var patches = censorPatches.get(this.object)
+    if ([...(patches?.values() ?? [])].some((record) => record.chains.event.length > 0)) {
+      return
+    }
+    var addRecord = patches?.get("addEventListener")
+    if (addRecord?.hasOwnProperty("eventEntry")) {
+      this.#unhook("addEventListener", "call", addRecord.eventEntry)
+      delete addRecord.eventEntry
+    }
+    var removeRecord = patches?.get("removeEventListener")
+    if (removeRecord?.hasOwnProperty("eventEntry") && !patches.has("addEventListener")) {
+      this.#unhook("removeEventListener", "call", removeRecord.eventEntry) // Still needed while listeners stay wrapped
+      delete removeRecord.eventEntry
+    }
+  }
 
   /**
-   * Register a handle for when a event is triggered and responded to from base object
+   * Register a handle for when a event is triggered and responded to from base object. Handles for the same event chain the same way as {@link CensorObject#whenCall}.
+   *
+   * Handles only run for listeners of the matching event type. Listeners added through the censored `addEventListener` can still be removed with `removeEventListener`, and the `once`, `capture`, `passive` and `signal` options and `handleEvent` listener objects work as they do natively.
    * @param {string} event - The name of the event.
    * @param {genericHandle} handle - The handle the will be applied to all listeners.
-   * @returns {CensorObject} - Returns self for chaining.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration, can be chained.
    */
-  on(event, handle) {
+  on(event, handle, options = {}) {
     CensorObject.typeCheck(event, "string")
     CensorObject.typeCheck(handle, "function")
 
-    let topLevelObj = this
-    let prev = this.object["on" + event]
-    let prevAdd = this.object.addEventListener
-
-    this.whenAttr("on" + event, {
-      set: (ctx, internal) => {
-        ctx.next((...args) => {
-          var ctx = new CensorContext(topLevelObj, event)
-          ctx.callback = internal ?? (() => {})
-          ctx.args = args
-          return handle(ctx, ...args)
-        })
-      },
-    })
-    if (typeof prev !== "undefined") {
-      this.object["on" + event] = prev // apply to old attribute
-    }
-    this.whenCall("addEventListener", (ctx, type, listener, other) => {
-      var newCtx = new CensorContext(topLevelObj, event)
-      newCtx.callback = listener ?? (() => {})
-      ctx.next(
-        type,
-        (...args) => {
-          newCtx.args = args
-          return handle(newCtx, ...args)
+    var name = "on" + event
+    var prev
+    try {
+      prev = this.object[name]
+    } catch {
+      prev = undefined // Accessors on prototypes can throw without a instance
+    }
+    var entry = this.#hook(name, "event", handle, options)
+    var record = this.#track(name)
+    if (!record.hasOwnProperty("eventEntry")) {
+      record.eventEntry = this.#hookAttr(
+        name,
+        "set",
+        (ctx, internal) => {
+          if (ctx.subject === this.object) {
+            record.unwrapped = internal // Instances of a censored prototype keep their wrapper, which passes through once restored
+          }
+          ctx.next(typeof internal === "function" ? this.#wrapListener(event, internal) : internal)
         },
-        other,
+        { priority: -Infinity }, // Wrap after every user set handle
       )
-    })
-    return this // For conjoining, eg. censor(obj).whenCall(...).on(...).whenAttr(...)
+      if (typeof prev !== "undefined") {
+        this.object[name] = prev // apply to old attribute
+      }
+    }
+    this.#hookListeners()
+
+    return new CensorRegistration(this, () => {
+      if (!this.#unhook(name, "event", entry) || record.chains.event.length > 0) {
+        return
+      }
+      this.#unhook(name, "set", record.eventEntry)
+      delete record.eventEntry
+      var patches = censorPatches.get(this.object)
+      if (patches?.get(name) === record && record.hasOwnProperty("unwrapped")) {
+        this.object[name] = record.unwrapped // Other set handles remain, reassign without the wrapper
+      }
+      this.#unhookListeners()
+    }) // For conjoining, eg. censor(obj).whenCall(...).on(...).whenAttr(...)
   }
 }
 
 /**
  * Very similar to {@link CensorObject}, used to censor uninitiated classes on initiation. `whenCall`, `whenAttr` and `on` are all directly equivilent to their {@link CensorObject} counterparts.
+ *
+ * There are two modes:
+ * * `"class"` (default): `genFunc()` replaces the class with a function that censors every new instance. Simple, but the replacement is not the class, so `instanceof`, static members and subclassing are lost.
+ * * `"prototype"`: handles are applied directly to `cls.prototype` when registered, and `genFunc()` returns a `Reflect.construct` based wrapper that keeps `instanceof`, static members, `new.target` and subclassing working.
+ * @example
+ * censor(WebSocket, { mode: "prototype" }).whenCall("send", (ctx, data) => {
+ *   console.log(ctx.subject.url, data) // ctx.subject is the socket
+ *   return ctx.pass()
+ * })
  * @class
  * @constructor
  * @public
@@ -350,24 +1120,60 @@ class CensorClass {
    * @type {string}
    */
   name
+
+  /**
+   * Either `"class"` or `"prototype"`, see {@link CensorClass}.
+   * @public
+   * @type {string}
+   */
+  mode
+
+  /**
+   * What happens when a handle throws or rejects.
+   * @public
+   * @type {errorPolicy}
+   */
+  onError
   #createHandle
   #eventHandles
   #callHandles
   #attrHandles
+  #prototypeCensor
+  #wrapper
 
   /**
    * Create a CensorClass object
    * @param {function(...*):Object} cls - The class descriptor function.
-   * @param {string|null} [accessName=null] - The name this class is accessed by publicly. (For example, `WebSocket` is internally named `E`, so this would be needed)
-   * @param {Object|null} [implementOn=window] - The object to automatically implement the result `genFunc()` onto.
+   * @param {string|null|Object} [accessName=null] - The name this class is accessed by publicly. (For example, `WebSocket` is internally named `E`, so this would be needed) Can also be a options object.
+   * @param {string} [accessName.mode="class"] - Either `"class"` or `"prototype"`.
+   * @param {string|null} [accessName.name=null] - Same as `accessName`.
+   * @param {Object|null} [accessName.implementOn=globalThis] - Same as `implementOn`.
+   * @param {errorPolicy} [accessName.onError="rethrow"] - What happens when a handle throws or rejects.
+   * @param {Object|null} [implementOn=globalThis] - The object to automatically implement the result `genFunc()` onto.
    */
-  constructor(cls, accessName = null, implementOn = window) {
+  constructor(cls, accessName = null, implementOn = globalThis) {
     CensorObject.typeCheck(cls, "function")
+    var options = {}
+    if (accessName !== null && typeof accessName === "object") {
+      options = accessName
+      accessName = options.name ?? null
+      implementOn = options.hasOwnProperty("implementOn") ? options.implementOn : implementOn
+    }
+    this.mode = options.mode ?? "class"
+    if (this.mode !== "class" && this.mode !== "prototype") {
+      throw new TypeError("Got mode " + this.mode + " expected class or prototype")
+    }
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+
     this.cls = cls
     this.name = accessName ?? cls.name
-    this.#eventHandles = {}
-    this.#callHandles = {}
-    this.#attrHandles = {}
+    this.#eventHandles = []
+    this.#callHandles = []
+    this.#attrHandles = []
+    if (this.mode === "prototype") {
+      this.#prototypeCensor = new CensorObject(cls.prototype, { onError: this.onError })
+    }
     if (implementOn !== null) {
       implementOn[this.name] = this.genFunc()
     }
@@ -383,35 +1189,54 @@ class CensorClass {
     return this
   }
 
-  whenCall(name, handle) {
-    this.#callHandles[name] = handle
+  whenCall(name, handle, options) {
+    this.#callHandles.push([name, handle, options])
+    this.#prototypeCensor?.whenCall(name, handle, options)
     return this
   }
-  whenAttr(name, handles) {
-    this.#attrHandles[name] = handles
+  whenAttr(name, handles, options) {
+    this.#attrHandles.push([name, handles, options])
+    this.#prototypeCensor?.whenAttr(name, handles, options)
     return this
   }
-  on(name, handle) {
-    this.#eventHandles[name] = handle
+  on(name, handle, options) {
+    this.#eventHandles.push([name, handle, options])
+    this.#prototypeCensor?.on(name, handle, options)
     return this
   }
 
   /**
-   * Apply all censor handles to a instance of the given class.
+   * Remove every registered handle. In prototype mode this restores the original prototype, see {@link CensorObject#restoreAll}. Instances created in class mode stay censored.
+   * @returns {CensorClass} - Returns self for chaining.
+   */
+  restoreAll() {
+    this.#createHandle = undefined
+    this.#callHandles = []
+    this.#attrHandles = []
+    this.#eventHandles = []
+    this.#prototypeCensor?.restoreAll()
+    return this
+  }
+
+  /**
+   * Apply all censor handles to a instance of the given class. Does nothing in prototype mode, where instances are already censored through their prototype.
    * @param {Object} obj - A instance of the given class or any other fitting object.
    * @returns {CensorClass} - Returns self for chaining.
    */
   apply(obj) {
-    var c = new CensorObject(obj)
+    if (this.mode === "prototype") {
+      return this
+    }
+    var c = new CensorObject(obj, { onError: this.onError })
 
-    for (const [key, value] of Object.entries(this.#callHandles)) {
-      c.whenCall(key, value)
+    for (const [name, handle, options] of this.#callHandles) {
+      c.whenCall(name, handle, options)
     }
-    for (const [key, value] of Object.entries(this.#attrHandles)) {
-      c.whenAttr(key, value)
+    for (const [name, handles, options] of this.#attrHandles) {
+      c.whenAttr(name, handles, options)
     }
-    for (const [key, value] of Object.entries(this.#eventHandles)) {
-      c.on(key, value)
+    for (const [name, handle, options] of this.#eventHandles) {
+      c.on(name, handle, options)
     }
     return this
   }
@@ -422,10 +1247,24 @@ class CensorClass {
    * var webSocketCensor = censor(WebSocket, null, null)
    * // censor stuff
    * WebSocket = webSocketCensor.getFunc()
-   * @returns {function(...*):Object} - Returns a valid initalization function.
+   * @returns {function(...*):Object} - Returns a valid initalization function. In prototype mode, a wrapper of the class itself.
    */
   genFunc() {
     let originalObject = this
+    if (this.mode === "prototype") {
+      this.#wrapper ??= new Proxy(this.cls, {
+        construct(target, args, newTarget) {
+          if (!originalObject.#createHandle) {
+            return Reflect.construct(target, args, newTarget)
+          }
+          var ctx = new CensorContext(originalObject, "_CENSOR_create")
+          ctx.args = args
+          ctx.callback = (..._args) => Reflect.construct(target, _args, newTarget) // Keeps new.target for subclasses
+          return originalObject.#createHandle(ctx, ...args)
+        },
+      })
+      return this.#wrapper
+    }
     return function (...args) {
       var result
       if (originalObject.#createHandle) {
@@ -442,6 +1281,397 @@ class CensorClass {
   }
 }
 
+/**
+ * Censors a object through a [Proxy](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy) instead of patching it in place. Only access through {@link CensorProxy#proxy} is censored and the target is never modified, so this also works on frozen or sealed objects and non-configurable properties. `whenCall`, `whenAttr` and `on` are equivilent to their {@link CensorObject} counterparts, and property checks, deletions, definitions and key enumeration can be intercepted on top of them.
+ *
+ * The proxy is built over an empty stand-in so that handles are free to change what frozen properties report. As a result, the proxy always reports itself as extensible.
+ * @class
+ * @constructor
+ * @public
+ * @example
+ * var config = censor.proxy(Object.freeze({ debug: false, token: "secret" }))
+ * config.whenAttr("debug", { get: (ctx) => true })
+ * config.whenOwnKeys((ctx) => ctx.pass().filter((key) => key !== "token"))
+ * config.proxy.debug // true
+ * Object.keys(config.proxy) // ["debug"]
+ */
+class CensorProxy {
+  /**
+   * Reference to the original object.
+   * @type {Object|function(...*):*}
+   * @public
+   */
+  object
+
+  /**
+   * The censored proxy of the original object. Use this in place of the original.
+   * @type {Object|function(...*):*}
+   * @public
+   */
+  proxy
+
+  /**
+   * What happens when a handle throws or rejects.
+   * @type {errorPolicy}
+   * @public
+   */
+  onError
+  #chains
+  #wrappers
+  #listeners
+  #unwrapped
+
+  /**
+   * Create a CensorProxy object
+   * @param {Object|function(...*):*} target - The object to proxy.
+   * @param {Object} [options={}] - The censor options.
+   * @param {errorPolicy} [options.onError="rethrow"] - What happens when a handle throws or rejects.
+   */
+  constructor(target, options = {}) {
+    if (target === null || !["object", "function"].includes(typeof target)) {
+      throw new TypeError("Can't proxy " + (target === null ? "null" : typeof target))
+    }
+    this.object = target
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+    this.#chains = new Map()
+    this.#wrappers = new WeakMap()
+    this.#listeners = new WeakMap()
+    this.#unwrapped = new WeakMap()
+
+    var shadow
+    if (typeof target === "function") {
+      shadow = function () {}.bind(null) // Callable and constructable, but without a non-configurable prototype
+    } else {
+      shadow = Array.isArray(target) ? [] : {}
+    }
+    this.proxy = new Proxy(shadow, this.#traps())
+  }
+
+  /**
+   * Add a handle to a chain.
+   * @param {string} kind - The type of interception.
+   * @param {string} name - The name of the property.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   * @private
+   */
+  #register(kind, name, handle, options) {
+    CensorObject.typeCheck(name, "string")
+    CensorObject.typeCheck(handle, "function")
+    if (!this.#chains.has(kind)) {
+      this.#chains.set(kind, new Map())
+    }
+    var chains = this.#chains.get(kind)
+    if (!chains.has(name)) {
+      chains.set(name, [])
+    }
+    var chain = chains.get(name)
+    var entry = CensorObject.insertHandle(chain, handle, options)
+    return new CensorRegistration(this, () => {
+      var index = chain.indexOf(entry)
+      if (index !== -1) {
+        chain.splice(index, 1)
+      }
+    })
+  }
+
+  /**
+   * Run the chain for a trap, or only `original` if nothing is registered.
+   * @param {string} kind - The type of interception.
+   * @param {string|symbol} name - The name of the property.
+   * @param {*[]} args - The arguments passed to the first handle.
+   * @param {function(...*):*} original - Called at the end of the chain.
+   * @returns {*} - The result of the chain.
+   * @private
+   */
+  #intercept(kind, name, args, original) {
+    var chain = typeof name === "string" ? this.#chains.get(kind)?.get(name) : undefined
+    if (!chain?.length) {
+      return original(...args)
+    }
+    return CensorObject.runChain(this, name, chain, args, original)
+  }
+
+  /**
+   * Whether the target looks like a `EventTarget`, so `on<event>` attributes should be wrapped.
+   * @returns {boolean}
+   * @private
+   */
+  #isEventTarget() {
+    return typeof this.object.addEventListener === "function"
+  }
+
+  /**
+   * Wrap a listener so that it runs the event chain registered for `event` when triggered. The same wrapper is returned for the same listener and event, so it can also be removed.
+   * @param {string} event - The name of the event.
+   * @param {*} listener - The original listener.
+   * @returns {*} - The wrapped listener, or `listener` if it is not a function.
+   * @private
+   */
+  #wrapListener(event, listener) {
+    if (typeof listener !== "function") {
+      return listener
+    }
+    if (!this.#listeners.has(listener)) {
+      this.#listeners.set(listener, new Map())
+    }
+    var wrappers = this.#listeners.get(listener)
+    if (!wrappers.has(event)) {
+      let censorProxy = this
+      let wrapped = function (...args) {
+        return censorProxy.#intercept("event", event, args, (...nextArgs) => Reflect.apply(listener, this, nextArgs))
+      }
+      this.#unwrapped.set(wrapped, listener)
+      wrappers.set(event, wrapped)
+    }
+    return wrappers.get(event)
+  }
+
+  /**
+   * Wrap functions read from the proxy that have call handles or that register listeners. Wrappers are cached so reads keep returning the same function.
+   * @param {string|symbol} key - The name of the property.
+   * @param {*} value - The value that was read.
+   * @returns {*} - The value to return from the proxy.
+   * @private
+   */
+  #wrapValue(key, value) {
+    if (this.#unwrapped.has(value)) {
+      return this.#unwrapped.get(value) // Read back the handler that was set
+    }
+    if (typeof key !== "string" || typeof value !== "function") {
+      return value
+    }
+    var listens = key === "addEventListener" || key === "removeEventListener"
+    if (!listens && !this.#chains.get("call")?.get(key)?.length) {
+      return value
+    }
+    if (!this.#wrappers.has(value)) {
+      this.#wrappers.set(value, new Map())
+    }
+    var wrappers = this.#wrappers.get(value)
+    if (!wrappers.has(key)) {
+      let censorProxy = this
+      wrappers.set(key, function (...args) {
+        let thisArg = this === censorProxy.proxy || this === undefined ? censorProxy.object : this
+        return censorProxy.#intercept("call", key, args, (...nextArgs) => {
+          if (listens) {
+            nextArgs[1] = censorProxy.#wrapListener(nextArgs[0], nextArgs[1])
+          }
+          return Reflect.apply(value, thisArg, nextArgs)
+        })
+      })
+    }
+    return wrappers.get(key)
+  }
+
+  /**
+   * Build the proxy handler, forwarding every trap to the target.
+   * @returns {Object} - The proxy handler.
+   * @private
+   */
+  #traps() {
+    var target = this.object
+    var receiverOf = (receiver) => (receiver === this.proxy ? target : receiver)
+    return {
+      get: (shadow, key, receiver) => {
+        var value = this.#intercept("get", key, [], () => Reflect.get(target, key, receiverOf(receiver)))
+        return this.#wrapValue(key, value)
+      },
+      set: (shadow, key, value, receiver) => {
+        var result = true
+        this.#intercept("set", key, [value], (asgn) => {
+          if (typeof key === "string" && key.startsWith("on") && this.#isEventTarget()) {
+            asgn = this.#wrapListener(key.slice(2), asgn)
+          }
+          result = Reflect.set(target, key, asgn, receiverOf(receiver))
+        })
+        return result
+      },
+      has: (shadow, key) => this.#intercept("has", key, [], () => Reflect.has(target, key)),
+      deleteProperty: (shadow, key) => this.#intercept("delete", key, [], () => Reflect.deleteProperty(target, key)),
+      defineProperty: (shadow, key, desc) =>
+        this.#intercept("define", key, [desc], (_desc) => {
+          var result = Reflect.defineProperty(target, key, _desc)
+          if (result && _desc.configurable === false) {
+            Reflect.defineProperty(shadow, key, Reflect.getOwnPropertyDescriptor(target, key)) // Proxy invariant
+          }
+          return result
+        }),
+      ownKeys: (shadow) => {
+        var keys = this.#intercept("ownKeys", "_CENSOR_ownKeys", [], () => Reflect.ownKeys(target))
+        var required = Reflect.ownKeys(shadow)
+        if (Reflect.isExtensible(shadow)) {
+          required = required.filter((key) => !Reflect.getOwnPropertyDescriptor(shadow, key).configurable)
+        }
+        return [...new Set([...keys, ...required])] // Proxy invariant, handles can't hide the stand-in's fixed keys (like an array's length)
+      },
+      getOwnPropertyDescriptor: (shadow, key) => {
+        var desc = Reflect.getOwnPropertyDescriptor(target, key)
+        var own = Reflect.getOwnPropertyDescriptor(shadow, key)
+        if (own && !own.configurable) {
+          // Proxy invariant, keep the stand-in's fixed properties (like an array's length) in sync with the target
+          return desc && Reflect.defineProperty(shadow, key, desc) ? desc : Reflect.getOwnPropertyDescriptor(shadow, key)
+        }
+        if (desc && !own) {
+          desc.configurable = true // Proxy invariant, the stand-in does not have the property
+        }
+        return desc
+      },
+      getPrototypeOf: () => Reflect.getPrototypeOf(target),
+      setPrototypeOf: (shadow, proto) => Reflect.setPrototypeOf(target, proto),
+      isExtensible: (shadow) => Reflect.isExtensible(shadow),
+      preventExtensions: () => {
+        Reflect.preventExtensions(target)
+        return false // Proxy invariant, the stand-in stays extensible
+      },
+      apply: (shadow, thisArg, args) =>
+        this.#intercept("apply", "_CENSOR_apply", args, (...nextArgs) => Reflect.apply(target, thisArg, nextArgs)),
+      construct: (shadow, args, newTarget) =>
+        this.#intercept("create", "_CENSOR_create", args, (...nextArgs) =>
+          Reflect.construct(target, nextArgs, newTarget === this.proxy ? target : newTarget),
+        ),
+    }
+  }
+
+  /**
+   * Register a handle for when function with name is called through the proxy. See {@link CensorObject#whenCall}.
+   * @param {string} name - The name of the function.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration, can be chained.
+   */
+  whenCall(name, handle, options) {
+    return this.#register("call", name, handle, options)
+  }
+
+  /**
+   * Register a handle for when a attribute with name is modified or retrived through the proxy. See {@link CensorObject#whenAttr}.
+   * @param {string} name - The name of the attribute.
+   * @param {Object} handles - The handler functions.
+   * @param {genericHandle} [handles.get] - The get handler for the attribute.
+   * @param {genericHandle} [handles.set] - The set handler for the attribute.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration, can be chained.
+   */
+  whenAttr(name, handles, options) {
+    CensorObject.typeCheck(handles, "object")
+    var registrations = []
+    for (const kind of ["get", "set"]) {
+      if (handles.hasOwnProperty(kind)) {
+        registrations.push(this.#register(kind, name, handles[kind], options))
+      }
+    }
+    return new CensorRegistration(this, () => {
+      for (const registration of registrations) {
+        registration.dispose()
+      }
+    })
+  }
+
+  /**
+   * Register a handle for when a event is triggered on a listener added or set through the proxy. See {@link CensorObject#on}.
+   * @param {string} event - The name of the event.
+   * @param {genericHandle} handle - The handle the will be applied to all listeners.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration, can be chained.
+   */
+  on(event, handle, options) {
+    return this.#register("event", event, handle, options)
+  }
+
+  /**
+   * Register a handle for when the proxy is constructed with `new`. Pass/Next constructs the original.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenCreate(handle, options) {
+    return this.#register("create", "_CENSOR_create", handle, options)
+  }
+
+  /**
+   * Register a handle for when the proxy is called as a function. Pass/Next calls the original.
+   * @param {genericHandle} handle - The handler function.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenApply(handle, options) {
+    return this.#register("apply", "_CENSOR_apply", handle, options)
+  }
+
+  /**
+   * Register a handle for when the property with name is checked with `in`. Pass/Next returns the original result.
+   * @param {string} name - The name of the property.
+   * @param {genericHandle} handle - The handler function, should return a boolean.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenHas(name, handle, options) {
+    return this.#register("has", name, handle, options)
+  }
+
+  /**
+   * Register a handle for when the property with name is deleted. Pass/Next deletes it from the original.
+   * @param {string} name - The name of the property.
+   * @param {genericHandle} handle - The handler function, should return whether the deletion succeeded.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenDelete(name, handle, options) {
+    return this.#register("delete", name, handle, options)
+  }
+
+  /**
+   * Register a handle for when the property with name is defined with `Object.defineProperty`. The handle receives the {@link PropertyDescription}, Pass/Next defines it on the original.
+   * @param {string} name - The name of the property.
+   * @param {genericHandle} handle - The handler function, should return whether the definition succeeded.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenDefine(name, handle, options) {
+    return this.#register("define", name, handle, options)
+  }
+
+  /**
+   * Register a handle for when the keys of the proxy are enumerated (`Object.keys`, `for...in`, `JSON.stringify` and the like). Pass/Next returns the original keys. Keys the proxy has to report, like the `length` of a array or keys whose non-configurable descriptor was already read, are added back to what the handles return.
+   * @param {genericHandle} handle - The handler function, should return a array of keys.
+   * @param {handleOptions} [options] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenOwnKeys(handle, options) {
+    return this.#register("ownKeys", "_CENSOR_ownKeys", handle, options)
+  }
+
+  /**
+   * Remove every handle registered on `name`. The target itself is never modified, so nothing else needs restoring.
+   * @param {string} name - The name of the property.
+   * @returns {CensorProxy} - Returns self for chaining.
+   */
+  restore(name) {
+    for (const chains of this.#chains.values()) {
+      chains.get(name)?.splice(0)
+      chains.delete(name)
+    }
+    return this
+  }
+
+  /**
+   * Remove every registered handle.
+   * @returns {CensorProxy} - Returns self for chaining.
+   */
+  restoreAll() {
+    for (const chains of this.#chains.values()) {
+      for (const chain of chains.values()) {
+        chain.splice(0)
+      }
+    }
+    this.#chains.clear()
+    return this
+  }
+}
+
 /**
  * Properly censor the given object if able
  * @param {*} obj - The object given as a base.
@@ -457,3 +1687,17 @@ function censor(obj, ...options) {
     throw new TypeError("Can't install censor on " + typeof obj)
   }
 }
+
+/**
+ * Censor the given object or function through a Proxy, leaving the original untouched. See {@link CensorProxy}.
+ * @param {Object|function(...*):*} target - The object to proxy.
+ * @param {Object} [options] - Options to pass to the CensorProxy constructor.
+ * @returns {CensorProxy} - The Censor object used to apply handles, the censored proxy is at `.proxy`.
+ */
+censor.proxy = (target, options) => new CensorProxy(target, options)
+
+/**
+ * Dispatches a {@link CensorErrorEvent} named `error` whenever a handle throws or rejects.
+ * @type {EventTarget}
+ */
+censor.events = censorEvents
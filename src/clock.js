@@ -0,0 +1,352 @@
+/**
+ * Fake timers built on the Censor core. Takes over `setTimeout`, `setInterval`, `requestAnimationFrame`, `queueMicrotask`, `Date` and `performance.now` with a virtual clock that only moves when told to.
+ * @module Clock
+ * @example
+ * var clock = censor.clock({ now: Date.UTC(2024, 0, 1) })
+ * setTimeout(() => console.log("later"), 1000)
+ * clock.tick(1000) // Logs "later"
+ * clock.restore()
+ */
+
+/**
+ * A virtual clock. Create with `censor.clock()`.
+ *
+ * The clock starts paused, so time only moves through {@link CensorClock#tick} and {@link CensorClock#runAll}. After {@link CensorClock#resume} it follows real time, firing timers as it goes, until paused again.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorClock {
+  /**
+   * The maximum number of timers {@link CensorClock#runAll} runs before giving up.
+   * @type {number}
+   * @public
+   */
+  loopLimit
+  #timers
+  #microtasks
+  #nextId
+  #now
+  #perfOrigin
+  #start
+  #running
+  #syncedAt
+  #realTimer
+  #real
+  #handles
+  #registrations
+
+  /**
+   * Create a clock and take over the timers.
+   * @param {Object} [options={}] - The clock options.
+   * @param {number|Date} [options.now=Date.now()] - The starting time.
+   * @param {string[]} [options.toFake] - What to fake, by default all of `setTimeout`, `clearTimeout`, `setInterval`, `clearInterval`, `requestAnimationFrame`, `cancelAnimationFrame`, `queueMicrotask`, `Date` and `performance`. Missing ones are skipped.
+   * @param {number} [options.loopLimit=1000] - The maximum number of timers `runAll()` runs.
+   * @param {Object} [options.target=globalThis] - The global object to fake the timers of.
+   */
+  constructor(options = {}) {
+    var target = options.target ?? globalThis
+    this.loopLimit = options.loopLimit ?? 1000
+    this.#timers = new Map()
+    this.#microtasks = []
+    this.#nextId = 2 ** 30 // Far above the ids of real timers, so clearing a real timer never hits a fake one
+    this.#now = Number(options.now ?? Date.now())
+    this.#start = this.#now
+    this.#running = false
+    var RealDate = target.Date
+    var realPerformanceNow = target.performance?.now.bind(target.performance)
+    this.#real = {
+      setTimeout: target.setTimeout.bind(target),
+      clearTimeout: target.clearTimeout.bind(target),
+      now: realPerformanceNow ?? (() => RealDate.now()), // Taken before faking them
+    }
+    this.#perfOrigin = this.#real.now()
+    var probe = this.#real.setTimeout(() => {}, 0)
+    this.#real.clearTimeout(probe)
+    this.#handles = typeof probe === "object" ? new WeakMap() : null // Node returns Timeout objects, browsers numbers
+    this.#registrations = []
+
+    var toFake = options.toFake ?? [
+      "setTimeout",
+      "clearTimeout",
+      "setInterval",
+      "clearInterval",
+      "requestAnimationFrame",
+      "cancelAnimationFrame",
+      "queueMicrotask",
+      "Date",
+      "performance",
+    ]
+    var global = new CensorObject(target)
+    var fake = (name, handle) => {
+      if (toFake.includes(name) && typeof target[name] === "function") {
+        this.#registrations.push(global.whenCall(name, handle))
+      }
+    }
+    var clear = (ctx, id) => {
+      if (!this.#timers.delete(this.#handles?.get(id) ?? id)) {
+        return ctx.pass() // A real timer, from before the clock or passed through
+      }
+    }
+    fake("setTimeout", (ctx, callback, delay, ...args) =>
+      typeof callback === "function" ? this.#handle(this.#schedule(callback, delay, args, false)) : ctx.pass(),
+    )
+    fake("setInterval", (ctx, callback, delay, ...args) =>
+      typeof callback === "function" ? this.#handle(this.#schedule(callback, delay, args, true)) : ctx.pass(),
+    )
+    fake("clearTimeout", clear)
+    fake("clearInterval", clear)
+    fake("requestAnimationFrame", (ctx, callback) =>
+      this.#schedule(() => callback(this.#perfNow()), 16 - ((this.#now - this.#start) % 16), [], false),
+    )
+    fake("cancelAnimationFrame", clear)
+    fake("queueMicrotask", (ctx, callback) => {
+      if (this.#running) {
+        return ctx.pass() // Nothing would flush them in time
+      }
+      this.#microtasks.push(callback)
+    })
+
+    if (toFake.includes("Date")) {
+      let proxy = new CensorProxy(RealDate)
+      proxy.whenCreate((ctx, ...args) => (args.length === 0 ? ctx.next(this.now) : ctx.pass()))
+      proxy.whenApply(() => new RealDate(this.now).toString())
+      proxy.whenCall("now", () => this.now)
+      this.#registrations.push(global.whenAttr("Date", { get: () => proxy.proxy }))
+    }
+    if (toFake.includes("performance") && realPerformanceNow) {
+      this.#registrations.push(new CensorObject(target.performance).whenCall("now", () => this.#perfNow()))
+    }
+  }
+
+  /**
+   * The current virtual time, in milliseconds since the epoch.
+   * @type {number}
+   * @public
+   */
+  get now() {
+    return this.#running ? this.#now + (this.#real.now() - this.#syncedAt) : this.#now
+  }
+
+  /**
+   * The number of timers waiting to run.
+   * @type {number}
+   * @public
+   */
+  get pending() {
+    return this.#timers.size
+  }
+
+  /**
+   * The virtual `performance.now()`.
+   * @returns {number}
+   * @private
+   */
+  #perfNow() {
+    return this.#perfOrigin + (this.now - this.#start)
+  }
+
+  /**
+   * Add a timer.
+   * @param {function(...*):void} callback - The timer callback.
+   * @param {number} delay - The delay in milliseconds.
+   * @param {*[]} args - Arguments for the callback.
+   * @param {boolean} repeat - Whether it is a interval.
+   * @returns {number} - The timer id.
+   * @private
+   */
+  #schedule(callback, delay, args, repeat) {
+    delay = Math.max(Number(delay) || 0, 0)
+    if (repeat) {
+      delay = Math.max(delay, 1) // A zero interval would never let time move
+    }
+    var id = this.#nextId++
+    this.#timers.set(id, { id, callback, args, delay, repeat, time: this.now + delay })
+    this.#wake()
+    return id
+  }
+
+  /**
+   * What `setTimeout` and `setInterval` return for a timer, the id itself or a object like Node's `Timeout` where the real timers return those.
+   * @param {number} id - The timer id.
+   * @returns {number|Object}
+   * @private
+   */
+  #handle(id) {
+    if (!this.#handles) {
+      return id
+    }
+    var ref = true
+    var handle = {
+      ref: () => {
+        ref = true
+        return handle
+      },
+      unref: () => {
+        ref = false
+        return handle
+      },
+      hasRef: () => ref,
+      refresh: () => {
+        var timer = this.#timers.get(id)
+        if (timer) {
+          timer.time = this.now + timer.delay
+          this.#wake()
+        }
+        return handle
+      },
+      [Symbol.toPrimitive]: () => id,
+    }
+    this.#handles.set(handle, id)
+    return handle
+  }
+
+  /**
+   * The timer that runs next, earliest first and in scheduling order for equal times.
+   * @returns {Object|undefined}
+   * @private
+   */
+  #earliest() {
+    var earliest
+    for (const timer of this.#timers.values()) {
+      if (!earliest || timer.time < earliest.time) {
+        earliest = timer
+      }
+    }
+    return earliest
+  }
+
+  /**
+   * Run every queued microtask, including ones queued while running.
+   * @returns {CensorClock} - Returns self for chaining.
+   */
+  runMicrotasks() {
+    while (this.#microtasks.length > 0) {
+      this.#microtasks.shift()()
+    }
+    return this
+  }
+
+  /**
+   * Run a timer, rescheduling it if it is a interval.
+   * @param {Object} timer - The timer.
+   * @private
+   */
+  #run(timer) {
+    this.#now = Math.max(this.#now, timer.time)
+    if (timer.repeat) {
+      timer.time += timer.delay
+    } else {
+      this.#timers.delete(timer.id)
+    }
+    try {
+      timer.callback(...timer.args)
+    } finally {
+      this.runMicrotasks()
+    }
+  }
+
+  /**
+   * Move the clock forward, running every timer that becomes due in order.
+   * @param {number} ms - Milliseconds to move forward.
+   * @returns {CensorClock} - Returns self for chaining.
+   */
+  tick(ms) {
+    this.#sync()
+    var end = this.#now + Math.max(Number(ms) || 0, 0)
+    this.runMicrotasks()
+    for (let timer = this.#earliest(); timer && timer.time <= end; timer = this.#earliest()) {
+      this.#run(timer)
+    }
+    this.#now = end
+    this.#wake()
+    return this
+  }
+
+  /**
+   * Run timers until none are left, moving the clock to each one.
+   * @throws {Error} - After running `loopLimit` timers, as that usually means a interval or a timer that keeps rescheduling itself.
+   * @returns {CensorClock} - Returns self for chaining.
+   */
+  runAll() {
+    this.#sync()
+    this.runMicrotasks()
+    for (let count = 0; this.#timers.size > 0; count++) {
+      if (count >= this.loopLimit) {
+        throw new Error("Aborting after running " + this.loopLimit + " timers, assuming a infinite loop")
+      }
+      this.#run(this.#earliest())
+    }
+    this.#wake()
+    return this
+  }
+
+  /**
+   * Freeze the clock, so it only moves through `tick()` and `runAll()`.
+   * @returns {CensorClock} - Returns self for chaining.
+   */
+  pause() {
+    this.#sync()
+    this.#running = false
+    this.#wake()
+    return this
+  }
+
+  /**
+   * Let the clock follow real time from its current virtual time, firing timers when they become due.
+   * @returns {CensorClock} - Returns self for chaining.
+   */
+  resume() {
+    this.#sync()
+    this.#running = true
+    this.#wake()
+    return this
+  }
+
+  /**
+   * Fold the real time that passed while running into the virtual time.
+   * @private
+   */
+  #sync() {
+    this.#now = this.now
+    this.#syncedAt = this.#real.now()
+  }
+
+  /**
+   * Schedule a real timer for the next virtual one while running.
+   * @private
+   */
+  #wake() {
+    this.#real.clearTimeout(this.#realTimer)
+    var next = this.#earliest()
+    if (!this.#running || !next) {
+      return
+    }
+    this.#realTimer = this.#real.setTimeout(() => this.tick(0), Math.max(next.time - this.now, 0))
+  }
+
+  /**
+   * Put the real timers, `Date` and `performance.now` back. Pending fake timers are dropped.
+   */
+  restore() {
+    this.#running = false
+    this.#real.clearTimeout(this.#realTimer)
+    this.#timers.clear()
+    this.#microtasks = []
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+  }
+}
+
+/**
+ * Start a virtual clock. See {@link CensorClock}.
+ * @example
+ * var clock = censor.clock()
+ * requestAnimationFrame(draw)
+ * clock.tick(16) // One frame
+ * @param {Object} [options] - Options to pass to the CensorClock constructor.
+ * @returns {CensorClock} - The clock.
+ */
+censor.clock = (options) => new CensorClock(options)
@@ -0,0 +1,267 @@
+/**
+ * Console capture built on the Censor core and the {@link module:Trace} module. Buffers everything written to `console`, along with uncaught errors and unhandled rejections, so it can be exported for a bug report on pages without devtools.
+ *
+ * Needs the {@link module:Trace} module to be loaded first.
+ * @module Console
+ * @example
+ * var output = censor.console({ silent: true })
+ * console.warn("Low disk space")
+ * output.export(2) // The warning, with its stack
+ */
+
+/**
+ * The console methods captured by default, the ones that write output. Missing ones are skipped.
+ * @type {string[]}
+ * @private
+ */
+const censorConsoleLevels = [
+  "log",
+  "info",
+  "warn",
+  "error",
+  "debug",
+  "trace",
+  "dir",
+  "dirxml",
+  "table",
+  "assert",
+  "count",
+  "countReset",
+  "group",
+  "groupCollapsed",
+  "groupEnd",
+  "time",
+  "timeEnd",
+  "timeLog",
+]
+
+/**
+ * A single captured console call or error.
+ * @typedef {Object} ConsoleEntry
+ * @property {number} id - Increasing number of the entry.
+ * @property {string} level - The console method (`log`, `warn`, `error`...), or `error` for uncaught errors and rejections.
+ * @property {string} source - `console`, `error` for uncaught errors or `unhandledrejection`.
+ * @property {*[]} args - The arguments passed to the console method, or the error or rejection reason.
+ * @property {string} [stack] - Where it was logged from, or the stack of the error.
+ * @property {number} time - `Date.now()` when it was captured.
+ */
+
+/**
+ * Captures console output and uncaught errors into a buffer, keeping only the newest `limit` entries. Create with `censor.console()`.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorConsole {
+  /**
+   * The censor of `console`.
+   * @type {CensorObject}
+   * @public
+   */
+  censor
+
+  /**
+   * The maximum number of entries that are kept.
+   * @type {number}
+   * @public
+   */
+  limit
+
+  /**
+   * How many entries were dropped to stay within `limit`.
+   * @type {number}
+   * @public
+   */
+  dropped
+
+  /**
+   * Whether console output is kept from reaching the real console.
+   * @type {boolean}
+   * @public
+   */
+  silent
+  #entries
+  #nextId
+  #sink
+  #stack
+  #sinking
+  #target
+  #listeners
+  #registrations
+
+  /**
+   * Create a capture and start recording.
+   * @param {Object} [options={}] - The capture options.
+   * @param {string|RegExp|Array<string|RegExp>} [options.levels] - The console methods to capture, accepts the same patterns as {@link CensorObject#whenCall}. By default every method that writes output (`log`, `warn`, `table`, `time`...).
+   * @param {boolean} [options.silent=false] - Keep captured output from reaching the real console.
+   * @param {function(ConsoleEntry):void} [options.sink] - Called with every new entry. Console calls made inside it go straight to the console.
+   * @param {boolean} [options.errors=true] - Also capture uncaught errors and unhandled rejections. On Node they are seen through `uncaughtExceptionMonitor`, so only rejections that end the process (the default) are captured, and the process still exits.
+   * @param {boolean} [options.stack=true] - Record where each console call came from.
+   * @param {number} [options.limit=1000] - The maximum number of entries that are kept.
+   * @param {Object} [options.target=globalThis] - The global object to capture the console and errors of.
+   */
+  constructor(options = {}) {
+    if (options.sink !== undefined) {
+      CensorObject.typeCheck(options.sink, "function")
+    }
+    this.#target = options.target ?? globalThis
+    this.censor = new CensorObject(this.#target.console)
+    this.limit = options.limit ?? 1000
+    this.dropped = 0
+    this.silent = options.silent ?? false
+    this.#entries = []
+    this.#nextId = 0
+    this.#sink = options.sink
+    this.#stack = options.stack ?? true
+    this.#sinking = false
+    var levels = options.levels ?? censorConsoleLevels.filter((level) => typeof this.#target.console[level] === "function")
+    this.#registrations = [this.censor.whenCall(levels, (ctx) => this.#capture(ctx))]
+
+    this.#listeners = {}
+    if (options.errors ?? true) {
+      this.#listeners.error = (event) =>
+        this.#record({
+          level: "error",
+          source: "error",
+          args: [event.error ?? event.message],
+          stack: event.error?.stack,
+        })
+      this.#listeners.unhandledrejection = (event) =>
+        this.#record({
+          level: "error",
+          source: "unhandledrejection",
+          args: [event.reason],
+          stack: event.reason?.stack,
+        })
+      if (typeof this.#target.addEventListener !== "function" && typeof this.#target.process?.on === "function") {
+        // Node has no error events, rejections nobody handles reach the monitor as uncaught exceptions
+        let { error, unhandledrejection } = this.#listeners
+        this.#listeners = {
+          uncaughtExceptionMonitor: (reason, origin) =>
+            origin === "unhandledRejection" ? unhandledrejection({ reason }) : error({ error: reason }),
+        }
+      }
+    }
+    for (const [type, listener] of Object.entries(this.#listeners)) {
+      if (typeof this.#target.addEventListener === "function") {
+        this.#target.addEventListener(type, listener)
+      } else {
+        this.#target.process?.on(type, listener)
+      }
+    }
+  }
+
+  /**
+   * Record a console call, and pass it on unless silent.
+   * @param {CensorContext} ctx - The context of the console handle.
+   * @returns {*} - The result of the console method.
+   * @private
+   */
+  #capture(ctx) {
+    if (this.#sinking || (ctx.name === "assert" && ctx.args[0])) {
+      return ctx.pass()
+    }
+    var entry = { level: ctx.name, source: "console", args: [...ctx.args] }
+    if (this.#stack) {
+      entry.stack = new Error().stack?.replace(/^Error\n/, "") // Starts with the censor frames, the caller follows them
+    }
+    this.#record(entry)
+    if (!this.silent) {
+      return ctx.pass()
+    }
+  }
+
+  /**
+   * Add a entry, dropping the oldest one once the buffer is full, and hand it to the sink.
+   * @param {Object} entry - The entry without its `id` and `time`.
+   * @private
+   */
+  #record(entry) {
+    entry = { id: this.#nextId++, ...entry, time: Date.now() }
+    if (this.limit > 0) {
+      this.#entries.push(entry)
+    }
+    if (this.#entries.length > this.limit) {
+      this.#entries.shift()
+      this.dropped += 1
+    }
+    if (this.#sink) {
+      this.#sinking = true
+      try {
+        this.#sink(entry)
+      } finally {
+        this.#sinking = false
+      }
+    }
+  }
+
+  /**
+   * The captured entries, oldest first.
+   * @type {ConsoleEntry[]}
+   * @public
+   */
+  get entries() {
+    return [...this.#entries]
+  }
+
+  /**
+   * Remove every captured entry.
+   * @returns {CensorConsole} - Returns self for chaining.
+   */
+  clear() {
+    this.#entries = []
+    this.dropped = 0
+    return this
+  }
+
+  /**
+   * Stop capturing and put the real console back. Captured entries are kept.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+    for (const [type, listener] of Object.entries(this.#listeners)) {
+      if (typeof this.#target.removeEventListener === "function") {
+        this.#target.removeEventListener(type, listener)
+      } else {
+        this.#target.process?.off(type, listener)
+      }
+    }
+    this.#listeners = {}
+  }
+
+  /**
+   * The capture as a JSON safe object, used by `JSON.stringify`. Arguments are converted with {@link CensorTrace.serialize}.
+   * @returns {Object} - The limit, the number of dropped entries and the serialized entries.
+   */
+  toJSON() {
+    return {
+      limit: this.limit,
+      dropped: this.dropped,
+      entries: this.#entries.map((entry) => CensorTrace.serialize(entry)),
+    }
+  }
+
+  /**
+   * Export the capture as a JSON string.
+   * @param {number|string} [space] - Indentation, passed to `JSON.stringify`.
+   * @returns {string} - The JSON log.
+   */
+  export(space) {
+    return JSON.stringify(this, null, space)
+  }
+}
+
+/**
+ * Capture console output and uncaught errors. See {@link CensorConsole}.
+ * @example
+ * var output = censor.console({
+ *   levels: ["warn", "error"],
+ *   sink: (entry) => fetch("/report", { method: "POST", body: JSON.stringify(CensorTrace.serialize(entry)) }),
+ * })
+ * @param {Object} [options] - Options to pass to the CensorConsole constructor.
+ * @returns {CensorConsole} - The recording capture.
+ */
+censor.console = (options) => new CensorConsole(options)
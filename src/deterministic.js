@@ -0,0 +1,230 @@
+/**
+ * A deterministic environment preset built on the Censor core and the {@link module:Clock} module. Replaces `Math.random`, `crypto.getRandomValues`, `crypto.randomUUID`, `Date` and the default `Intl` time zone with seeded and fixed values, so a page session can be replayed exactly.
+ *
+ * Needs the {@link module:Clock} module to be loaded first.
+ * @module Deterministic
+ * @example
+ * var env = censor.deterministic({ seed: "snapshot-1" })
+ * Math.random() // Same sequence on every run
+ * env.toJSON() // { seed: "snapshot-1", now: 946684800000, time: "frozen", timeZone: "UTC" }
+ */
+
+/**
+ * Makes randomness and time deterministic. Create with `censor.deterministic()`.
+ *
+ * `Date` methods that use the system time zone directly (like `getHours()`) can't be changed, only `Intl.DateTimeFormat` and the `toLocale...String` methods use `timeZone`.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorDeterministic {
+  /**
+   * The seed of the generator, generated if none was given. Pass it back in to replay the session.
+   * @type {number|string}
+   * @public
+   */
+  seed
+
+  /**
+   * The time `Date` starts at.
+   * @type {number}
+   * @public
+   */
+  now
+
+  /**
+   * Either `"frozen"` or `"running"`, see the constructor.
+   * @type {string}
+   * @public
+   */
+  time
+
+  /**
+   * The default time zone of `Intl.DateTimeFormat` and the `toLocale...String` methods.
+   * @type {string}
+   * @public
+   */
+  timeZone
+
+  /**
+   * The clock behind `Date`.
+   * @type {CensorClock}
+   * @public
+   */
+  clock
+  #next
+  #registrations
+
+  /**
+   * Create the preset and start censoring.
+   * @param {Object} [options={}] - The preset options, {@link CensorDeterministic#toJSON} output can be passed back in.
+   * @param {number|string} [options.seed] - The seed, a random one is picked and recorded in `seed` if not given.
+   * @param {number|Date} [options.now=Date.UTC(2000, 0, 1)] - The time `Date` starts at.
+   * @param {string} [options.time="frozen"] - `"frozen"` keeps `Date` at `now`, `"running"` lets it move forward with real time from `now`.
+   * @param {string} [options.timeZone="UTC"] - The default time zone for `Intl`.
+   * @param {Object} [options.target=globalThis] - The global object to censor.
+   */
+  constructor(options = {}) {
+    var target = options.target ?? globalThis
+    this.seed = options.seed ?? Math.floor(target.Math.random() * 2 ** 32)
+    this.now = Number(options.now ?? Date.UTC(2000, 0, 1))
+    this.timeZone = options.timeZone ?? "UTC"
+    this.time = options.time ?? "frozen"
+    if (this.time !== "frozen" && this.time !== "running") {
+      throw new TypeError("Got time " + this.time + " expected frozen or running")
+    }
+    this.reseed(this.seed)
+    this.#registrations = []
+
+    this.#registrations.push(new CensorObject(target.Math).whenCall("random", () => this.#next() / 2 ** 32))
+
+    if (target.crypto) {
+      let crypto = new CensorObject(target.crypto)
+      this.#registrations.push(
+        crypto.whenCall("getRandomValues", (ctx, array) => {
+          var integers = ArrayBuffer.isView(array) && !(array instanceof DataView) && !/Float/.test(array.constructor.name)
+          if (!integers || array.byteLength > 65536) {
+            return ctx.pass() // Let the original throw its usual errors
+          }
+          this.fill(new Uint8Array(array.buffer, array.byteOffset, array.byteLength))
+          return array
+        }),
+      )
+      if (typeof target.crypto.randomUUID === "function") {
+        this.#registrations.push(crypto.whenCall("randomUUID", () => this.uuid()))
+      }
+    }
+
+    this.clock = new CensorClock({ target, now: this.now, toFake: ["Date"] })
+    if (this.time === "running") {
+      this.clock.resume()
+    }
+
+    if (target.Intl) {
+      let timeZone = (options) => ({ timeZone: this.timeZone, ...options })
+      let format = new CensorProxy(target.Intl.DateTimeFormat)
+      format.whenCreate((ctx, locales, options) => ctx.next(locales, timeZone(options)))
+      format.whenApply((ctx, locales, options) => ctx.next(locales, timeZone(options)))
+      this.#registrations.push(new CensorObject(target.Intl).whenAttr("DateTimeFormat", { get: () => format.proxy }))
+
+      let dates = new CensorObject(target.Date.prototype)
+      for (const name of ["toLocaleString", "toLocaleDateString", "toLocaleTimeString"]) {
+        this.#registrations.push(dates.whenCall(name, (ctx, locales, options) => ctx.next(locales, timeZone(options))))
+      }
+    }
+  }
+
+  /**
+   * Turn a seed into the 128 bit state of the generator.
+   * @param {number|string} seed - The seed.
+   * @returns {number[]} - Four 32 bit integers.
+   * @private
+   */
+  static #hash(seed) {
+    var str = String(seed)
+    var h1 = 1779033703,
+      h2 = 3144134277,
+      h3 = 1013904242,
+      h4 = 2773480762
+    for (let i = 0; i < str.length; i++) {
+      let ch = str.charCodeAt(i)
+      h1 = h2 ^ Math.imul(h1 ^ ch, 597399067)
+      h2 = h3 ^ Math.imul(h2 ^ ch, 2869860233)
+      h3 = h4 ^ Math.imul(h3 ^ ch, 951274213)
+      h4 = h1 ^ Math.imul(h4 ^ ch, 2716044179)
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067)
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233)
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213)
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179)
+    h1 ^= h2 ^ h3 ^ h4
+    return [h1 >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0]
+  }
+
+  /**
+   * Restart the generator with a new seed, and record it in `seed`.
+   * @param {number|string} seed - The seed.
+   * @returns {CensorDeterministic} - Returns self for chaining.
+   */
+  reseed(seed) {
+    this.seed = seed
+    var [a, b, c, d] = CensorDeterministic.#hash(seed)
+    this.#next = () => {
+      // sfc32
+      var t = (((a + b) | 0) + d) | 0
+      d = (d + 1) | 0
+      a = b ^ (b >>> 9)
+      b = (c + (c << 3)) | 0
+      c = (c << 21) | (c >>> 11)
+      c = (c + t) | 0
+      return t >>> 0
+    }
+    return this
+  }
+
+  /**
+   * Fill bytes from the generator.
+   * @param {Uint8Array} bytes - The bytes to fill.
+   * @returns {Uint8Array} - The same bytes.
+   */
+  fill(bytes) {
+    for (let index = 0; index < bytes.length; index++) {
+      bytes[index] = this.#next() & 0xff
+    }
+    return bytes
+  }
+
+  /**
+   * A version 4 UUID from the generator.
+   * @returns {string}
+   */
+  uuid() {
+    var bytes = this.fill(new Uint8Array(16))
+    bytes[6] = (bytes[6] & 0x0f) | 0x40
+    bytes[8] = (bytes[8] & 0x3f) | 0x80
+    var hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")
+    return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join("-")
+  }
+
+  /**
+   * The settings needed to replay the session, eg. through the `pass` option of `softRefresh`.
+   * @returns {{seed: (number|string), now: number, time: string, timeZone: string}}
+   */
+  toJSON() {
+    return { seed: this.seed, now: this.now, time: this.time, timeZone: this.timeZone }
+  }
+
+  /**
+   * Put the original randomness, `Date` and `Intl` back.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+    this.clock.restore()
+  }
+}
+
+/**
+ * Make randomness and time deterministic. See {@link CensorDeterministic}.
+ * @example
+ * var env = censor.deterministic()
+ * // Reload the page with the same seed and time
+ * softRefresh(
+ *   (state) => {
+ *     censor.deterministic(state)
+ *   },
+ *   {
+ *     resources: [
+ *       censorResource,
+ *       "https://cdn.jsdelivr.net/gh/thatrandomperson5/censorjs@master/release/clock.min.js",
+ *       "https://cdn.jsdelivr.net/gh/thatrandomperson5/censorjs@master/release/deterministic.min.js",
+ *     ],
+ *     pass: env.toJSON(),
+ *   },
+ * )
+ * @param {Object} [options] - Options to pass to the CensorDeterministic constructor.
+ * @returns {CensorDeterministic} - The preset.
+ */
+censor.deterministic = (options) => new CensorDeterministic(options)
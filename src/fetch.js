@@ -0,0 +1,357 @@
+/**
+ * Declarative `fetch` routing built on the Censor core. Matches requests against routes that can answer with a mock, rewrite the request, delay it or fail it, and lets everything else through to the network.
+ * @module Fetch
+ * @example
+ * censor
+ *   .fetch()
+ *   .route("/api/user", { json: { name: "Ada" } })
+ *   .route(/\/ads\//, { error: true })
+ *   .route("https://example.com/*", (request, route) => route.continue({ headers: { "X-Debug": "1" } }))
+ */
+
+/**
+ * A declarative response, accepted anywhere a handler could return a `Response`.
+ * @typedef {Object} fetchResponseInit
+ * @property {number} [status=200] - The response status.
+ * @property {string} [statusText] - The response status text.
+ * @property {Object|Headers|Array} [headers] - The response headers.
+ * @property {BodyInit} [body] - The response body.
+ * @property {*} [json] - A value to send as a JSON body, also sets the content type.
+ * @property {string} [url] - The url the response reports, the request url by default.
+ * @property {number} [delay] - Milliseconds to wait before answering.
+ * @property {boolean|string} [error] - Fail the request like a network error instead, with this message if it is a string.
+ */
+
+/**
+ * Changes to make to a request before passing it on.
+ * @typedef {Object} fetchRequestOverrides
+ * @property {string|URL} [url] - The new url.
+ * @property {string} [method] - The new method.
+ * @property {Object} [headers] - Headers to set, a `null` value removes the header.
+ * @property {BodyInit|null} [body] - The new body.
+ */
+
+/**
+ * A route handle. Return a `Response`, a {@link fetchResponseInit} or the result of `route.continue()`, or return nothing to let the next route or the network handle the request.
+ * @callback fetchHandler
+ * @param {Request} request - The request.
+ * @param {CensorRoute} route - Helpers to answer, rewrite, delay or fail the request.
+ * @returns {Response|fetchResponseInit|Promise<Response|fetchResponseInit|undefined>|undefined}
+ */
+
+/**
+ * The helpers passed to a route handler alongside the request.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorRoute {
+  /**
+   * The intercepted request.
+   * @type {Request}
+   * @public
+   */
+  request
+  #next
+
+  /**
+   * Should only be called by CensorFetch.
+   * @param {Request} request - The intercepted request.
+   * @param {function(Request):Promise<Response>} next - Passes a request to the next matching route, or the network.
+   */
+  constructor(request, next) {
+    this.request = request
+    this.#next = next
+  }
+
+  /**
+   * Pass the request on to the next matching route or the network, optionally rewritten.
+   * @param {fetchRequestOverrides} [overrides={}] - Changes to make to the request.
+   * @returns {Promise<Response>} - The response.
+   */
+  async continue(overrides = {}) {
+    return this.#next(await CensorRoute.rewrite(this.request, overrides))
+  }
+
+  /**
+   * Build a synthetic response.
+   * @param {fetchResponseInit} [init={}] - The response to build.
+   * @returns {Promise<Response>} - The response, after `init.delay` if there is one.
+   */
+  async respond(init = {}) {
+    return CensorFetch.toResponse(init, this.request)
+  }
+
+  /**
+   * Fail the request like a network error.
+   * @param {string} [message="Failed to fetch"] - The error message.
+   * @throws {TypeError}
+   */
+  error(message = "Failed to fetch") {
+    throw new TypeError(message)
+  }
+
+  /**
+   * Fail the request like it was aborted.
+   * @throws {DOMException}
+   */
+  abort() {
+    throw new DOMException("The operation was aborted.", "AbortError")
+  }
+
+  /**
+   * Wait before continuing, rejecting early if the request is aborted.
+   * @param {number} ms - Milliseconds to wait.
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return CensorFetch.delay(ms, this.request.signal)
+  }
+
+  /**
+   * Copy a request with some of its parts changed.
+   * @param {Request} request - The request to copy.
+   * @param {fetchRequestOverrides} overrides - Changes to make to the request.
+   * @returns {Promise<Request>} - The new request.
+   */
+  static async rewrite(request, { url, method, headers, body } = {}) {
+    var merged = new Headers(request.headers)
+    for (const [name, value] of Object.entries(headers ?? {})) {
+      if (value === null) {
+        merged.delete(name)
+      } else {
+        merged.set(name, value)
+      }
+    }
+    method = method ?? request.method
+    if (body === undefined) {
+      body = ["GET", "HEAD"].includes(method.toUpperCase()) ? null : await request.clone().arrayBuffer()
+    }
+    return new Request(url ?? request.url, {
+      method,
+      headers: merged,
+      body,
+      signal: request.signal,
+      credentials: request.credentials,
+      cache: request.cache,
+      redirect: request.redirect,
+    })
+  }
+}
+
+/**
+ * A `fetch` router, passing every request that no route answers through to the network. Create with `censor.fetch()`.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorFetch {
+  /**
+   * The registered routes, in matching order.
+   * @type {{pattern: (string|RegExp|function(Request):boolean), handler: fetchHandler, method?: string, times: number}[]}
+   * @public
+   */
+  routes
+  #registration
+
+  /**
+   * Create a router and start intercepting `fetch`.
+   * @param {Object} [options={}] - The router options.
+   * @param {Object} [options.target=globalThis] - The object `fetch` is taken from.
+   * @param {number} [options.priority=0] - The priority of the `fetch` handle.
+   */
+  constructor(options = {}) {
+    this.routes = []
+    var target = options.target ?? globalThis
+    this.#registration = new CensorObject(target).whenCall("fetch", (ctx) => this.#handle(ctx), {
+      priority: options.priority ?? 0,
+    })
+  }
+
+  /**
+   * Whether a route pattern matches a request. Strings are globs where `*` matches anything, compared with the whole url, or with the path if they start with `/`.
+   * @param {string|RegExp|function(Request):boolean} pattern - The pattern.
+   * @param {Request} request - The request.
+   * @returns {boolean}
+   */
+  static matches(pattern, request) {
+    if (typeof pattern === "function") {
+      return Boolean(pattern(request))
+    }
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0
+      return pattern.test(request.url)
+    }
+    var glob = new RegExp("^" + pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$")
+    return glob.test(pattern.startsWith("/") ? new URL(request.url).pathname : request.url)
+  }
+
+  /**
+   * Wait for some time, rejecting early if a signal aborts.
+   * @param {number} ms - Milliseconds to wait.
+   * @param {AbortSignal} [signal] - The signal to abort on.
+   * @returns {Promise<void>}
+   */
+  static delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason)
+        return
+      }
+      var onAbort = () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      }
+      var timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort)
+        resolve()
+      }, ms)
+      signal?.addEventListener("abort", onAbort, { once: true })
+    })
+  }
+
+  /**
+   * Turn what a handler returned into a response.
+   * @param {Response|fetchResponseInit} result - The handler result.
+   * @param {Request} request - The request being answered.
+   * @returns {Promise<Response>} - The response.
+   */
+  static async toResponse(result, request) {
+    if (result instanceof Response) {
+      return result
+    }
+    CensorObject.typeCheck(result, "object")
+    if (result.delay) {
+      await CensorFetch.delay(result.delay, request.signal)
+    }
+    if (result.error) {
+      throw new TypeError(typeof result.error === "string" ? result.error : "Failed to fetch")
+    }
+    var headers = new Headers(result.headers)
+    var body = result.body ?? null
+    if ("json" in result) {
+      body = JSON.stringify(result.json)
+      if (!headers.has("content-type")) {
+        headers.set("content-type", "application/json")
+      }
+    }
+    var status = result.status ?? 200
+    var response = new Response([101, 103, 204, 205, 304].includes(status) ? null : body, {
+      status,
+      statusText: result.statusText ?? "",
+      headers,
+    })
+    Object.defineProperty(response, "url", { value: result.url ?? request.url })
+    return response
+  }
+
+  /**
+   * The `fetch` handle.
+   * @param {CensorContext} ctx - The `fetch` context.
+   * @returns {Promise<Response>} - The response.
+   * @private
+   */
+  #handle(ctx) {
+    if (this.routes.length === 0) {
+      return ctx.pass()
+    }
+    var request
+    try {
+      request = new Request(...ctx.args)
+    } catch (error) {
+      return Promise.reject(error) // Like fetch, a invalid url or init rejects instead of throwing
+    }
+    return this.#dispatch(ctx, [...this.routes], request)
+  }
+
+  /**
+   * Run a request through routes, then the network.
+   * @param {CensorContext} ctx - The `fetch` context.
+   * @param {Object[]} routes - The routes left to try.
+   * @param {Request} request - The request.
+   * @returns {Promise<Response>} - The response.
+   * @private
+   */
+  async #dispatch(ctx, routes, request) {
+    for (const [index, route] of routes.entries()) {
+      if (route.method && route.method !== request.method.toUpperCase()) {
+        continue
+      }
+      if (route.times <= 0 || !CensorFetch.matches(route.pattern, request)) {
+        continue // Used up by a request that was answered while this one waited
+      }
+      let result = route.handler
+      if (typeof result === "function") {
+        let next = (rewritten) => this.#dispatch(ctx, routes.slice(index + 1), rewritten)
+        result = await route.handler(request, new CensorRoute(request, next))
+      } else if (result instanceof Response) {
+        result = result.clone()
+      }
+      if (result !== undefined) {
+        if (--route.times <= 0) {
+          this.routes = this.routes.filter((item) => item !== route)
+        }
+        return CensorFetch.toResponse(result, request)
+      }
+    }
+    return ctx.next(request)
+  }
+
+  /**
+   * Add a route. Routes are tried in the order they were added, and the first one whose handler returns something answers the request.
+   * @param {string|RegExp|function(Request):boolean} pattern - Which requests to route, see {@link CensorFetch.matches}.
+   * @param {fetchHandler|Response|fetchResponseInit} handler - The handler, or a fixed response for every matching request.
+   * @param {Object} [options={}] - The route options.
+   * @param {string} [options.method] - Only route requests with this method.
+   * @param {number} [options.times=Infinity] - Remove the route after it answered this many requests. Falling through by returning `undefined` doesn't count.
+   * @returns {CensorFetch} - Returns self for chaining.
+   */
+  route(pattern, handler, options = {}) {
+    if (!(pattern instanceof RegExp) && typeof pattern !== "function") {
+      CensorObject.typeCheck(pattern, "string")
+    }
+    this.routes.push({
+      pattern,
+      handler,
+      method: options.method?.toUpperCase(),
+      times: options.times ?? Infinity,
+    })
+    return this
+  }
+
+  /**
+   * Remove routes, either every route added with `pattern` (and `handler` if given) or every route.
+   * @param {string|RegExp|function(Request):boolean} [pattern] - The pattern the routes were added with.
+   * @param {fetchHandler|fetchResponseInit} [handler] - The handler the route was added with.
+   * @returns {CensorFetch} - Returns self for chaining.
+   */
+  unroute(pattern, handler) {
+    this.routes = this.routes.filter(
+      (route) =>
+        pattern !== undefined &&
+        (route.pattern !== pattern || (handler !== undefined && route.handler !== handler)),
+    )
+    return this
+  }
+
+  /**
+   * Stop routing and put `fetch` back.
+   */
+  dispose() {
+    this.#registration.dispose()
+    this.routes = []
+  }
+}
+
+/**
+ * Start routing `fetch`. See {@link CensorFetch}.
+ * @example
+ * var router = censor.fetch()
+ * router.route("/api/*", async (request, route) => {
+ *   await route.delay(500)
+ *   return route.continue({ url: request.url.replace("/api/", "/api/v2/") })
+ * })
+ * @param {Object} [options] - Options to pass to the CensorFetch constructor.
+ * @returns {CensorFetch} - The router.
+ */
+censor.fetch = (options) => new CensorFetch(options)
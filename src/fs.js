@@ -0,0 +1,843 @@
+/**
+ * A Node filesystem preset built on the Censor core. Censors the path based functions of `fs` (sync and callback) and `fs/promises` with path allow/deny rules and access logging, and can redirect them to a in-memory virtual filesystem.
+ * @module FS
+ * @example
+ * var sandbox = censor.fs({
+ *   allow: ["/project/**", "/tmp/**"],
+ *   deny: "/project/.env",
+ *   virtual: "/tmp/**", // Kept in memory, the disk is never touched
+ *   log: true,
+ * })
+ * fs.writeFileSync("/tmp/out.txt", "hello")
+ * sandbox.volume.toJSON() // { "/tmp": null, "/tmp/out.txt": "hello" }
+ */
+
+/**
+ * The censored operations, with the action of each path argument. A missing action means the argument isn't a path that is checked. The action of `open` and the streams depends on their flags, see {@link CensorFs.openAction}.
+ * @type {Object<string, Array<string|undefined>>}
+ * @private
+ */
+const censorFsOperations = {
+  readFile: ["read"],
+  writeFile: ["write"],
+  appendFile: ["write"],
+  exists: ["read"],
+  stat: ["read"],
+  lstat: ["read"],
+  readdir: ["read"],
+  mkdir: ["write"],
+  rm: ["write"],
+  rmdir: ["write"],
+  unlink: ["write"],
+  rename: ["write", "write"],
+  copyFile: ["read", "write"],
+  access: ["read"],
+  realpath: ["read"],
+  open: ["read"],
+  opendir: ["read"],
+  readlink: ["read"],
+  truncate: ["write"],
+  chmod: ["write"],
+  chown: ["write"],
+  utimes: ["write"],
+  symlink: [undefined, "write"],
+  link: ["read", "write"],
+  cp: ["read", "write"],
+  createReadStream: ["read"],
+  createWriteStream: ["write"],
+  watch: ["read"],
+}
+
+/**
+ * Operations that only exist as a plain function of `fs`, without callback or promise versions.
+ * @type {string[]}
+ * @private
+ */
+const censorFsPlain = ["createReadStream", "createWriteStream", "watch"]
+
+/**
+ * A logged filesystem access.
+ * @typedef {Object} FsLogEntry
+ * @property {string} call - The censored function, eg. `readFileSync` or `promises.readFile`.
+ * @property {string} action - Either `read` or `write`.
+ * @property {string} path - The absolute path.
+ * @property {boolean} allowed - Whether the rules allowed it.
+ * @property {boolean} virtual - Whether it went to the virtual filesystem.
+ * @property {number} time - `Date.now()` when it happened.
+ */
+
+/**
+ * What the rules match. Strings are absolute or relative globs where `*` matches within a path segment, `**` matches across segments and a trailing `/**` also matches the directory itself. `RegExp`s are tested against the absolute path, and functions get the path, the action and the operation name.
+ * @typedef {string|RegExp|function(string, string, string):boolean|Array<string|RegExp|function(string, string, string):boolean>} pathPattern
+ */
+
+/**
+ * A in-memory filesystem with the synchronous, path based part of the `fs` API. Errors have the same `code`, `errno`, `syscall` and `path` as real ones.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorVolume {
+  #nodes
+  #path
+
+  /**
+   * Create a volume.
+   * @param {Object<string, string|Uint8Array>} [files={}] - Files to start with, by path. Parent directories are created.
+   * @param {Object} [path] - The Node `path` module.
+   */
+  constructor(files = {}, path = CensorObject.builtin("path")) {
+    this.#path = path
+    this.#nodes = new Map()
+    for (const [name, content] of Object.entries(files)) {
+      let file = path.resolve(name)
+      this.mkdir(path.dirname(file), { recursive: true })
+      this.writeFile(file, content)
+    }
+  }
+
+  /**
+   * Create a error like the ones `fs` throws.
+   * @param {string} code - The error code, eg. `ENOENT`.
+   * @param {string} syscall - The failed system call.
+   * @param {string} path - The path.
+   * @returns {Error}
+   */
+  static error(code, syscall, path) {
+    var [errno, description] = {
+      EACCES: [-13, "permission denied"],
+      EEXIST: [-17, "file already exists"],
+      EISDIR: [-21, "illegal operation on a directory"],
+      ENOENT: [-2, "no such file or directory"],
+      ENOSYS: [-38, "function not implemented"],
+      ENOTDIR: [-20, "not a directory"],
+      ENOTEMPTY: [-39, "directory not empty"],
+      EXDEV: [-18, "cross-device link not permitted"],
+    }[code]
+    var error = new Error(code + ": " + description + ", " + syscall + " '" + path + "'")
+    Object.assign(error, { errno, code, syscall, path })
+    return error
+  }
+
+  /**
+   * The node at a path. Roots always exist.
+   * @param {string} path - The absolute path.
+   * @returns {Object|undefined}
+   * @private
+   */
+  #get(path) {
+    if (path === this.#path.parse(path).root) {
+      return { type: "directory", data: new Uint8Array(0), mtime: new Date(0), birthtime: new Date(0) }
+    }
+    return this.#nodes.get(path)
+  }
+
+  /**
+   * Throw unless the parent of a path is a existing directory.
+   * @param {string} path - The absolute path.
+   * @param {string} syscall - The system call to report.
+   * @private
+   */
+  #checkParent(path, syscall) {
+    var parent = this.#get(this.#path.dirname(path))
+    if (!parent) {
+      throw CensorVolume.error("ENOENT", syscall, path)
+    }
+    if (parent.type !== "directory") {
+      throw CensorVolume.error("ENOTDIR", syscall, path)
+    }
+  }
+
+  /**
+   * The paths inside a directory, at any depth.
+   * @param {string} path - The absolute directory path.
+   * @returns {string[]}
+   * @private
+   */
+  #descendants(path) {
+    var prefix = path.endsWith(this.#path.sep) ? path : path + this.#path.sep
+    return [...this.#nodes.keys()].filter((key) => key.startsWith(prefix))
+  }
+
+  /**
+   * Normalize a `options` argument that can also be a encoding string.
+   * @param {Object|string} [options] - The options.
+   * @returns {Object}
+   * @private
+   */
+  static #options(options) {
+    return typeof options === "string" ? { encoding: options } : { ...options }
+  }
+
+  /**
+   * Whether a path exists.
+   * @param {string} path - The absolute path.
+   * @returns {boolean}
+   */
+  exists(path) {
+    return this.#get(path) !== undefined
+  }
+
+  /**
+   * Read a file.
+   * @param {string} path - The absolute path.
+   * @param {Object|string} [options] - A encoding, or options with a `encoding`.
+   * @returns {Buffer|string} - A string if a encoding was given.
+   */
+  readFile(path, options) {
+    var node = this.#get(path)
+    if (!node) {
+      throw CensorVolume.error("ENOENT", "open", path)
+    }
+    if (node.type === "directory") {
+      throw CensorVolume.error("EISDIR", "read", path)
+    }
+    var { encoding } = CensorVolume.#options(options)
+    var data = Buffer.from(node.data)
+    return encoding ? data.toString(encoding) : data
+  }
+
+  /**
+   * Write a file.
+   * @param {string} path - The absolute path.
+   * @param {string|Uint8Array} data - The content.
+   * @param {Object|string} [options] - A encoding, or options with a `encoding` and a `flag` (`a` appends, `x` fails if it exists).
+   */
+  writeFile(path, data, options) {
+    var { encoding, flag = "w" } = CensorVolume.#options(options)
+    var node = this.#get(path)
+    if (node?.type === "directory") {
+      throw CensorVolume.error("EISDIR", "open", path)
+    }
+    if (node && flag.includes("x")) {
+      throw CensorVolume.error("EEXIST", "open", path)
+    }
+    this.#checkParent(path, "open")
+    if (ArrayBuffer.isView(data)) {
+      data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    }
+    var bytes = typeof data === "string" ? Buffer.from(data, encoding ?? "utf8") : Buffer.from(data) // A copy
+    if (node && flag.includes("a")) {
+      bytes = Buffer.concat([node.data, bytes])
+    }
+    var now = new Date()
+    this.#nodes.set(path, { type: "file", data: bytes, mtime: now, birthtime: node?.birthtime ?? now })
+  }
+
+  /**
+   * Describe a file or directory.
+   * @param {string} path - The absolute path.
+   * @param {Object} [options] - With `throwIfNoEntry: false`, missing paths return `undefined`.
+   * @returns {Object|undefined} - A `fs.Stats`-like object.
+   */
+  stat(path, options) {
+    var node = this.#get(path)
+    if (!node) {
+      if (options?.throwIfNoEntry === false) {
+        return undefined
+      }
+      throw CensorVolume.error("ENOENT", "stat", path)
+    }
+    var size = node.data.byteLength
+    var is = (type) => () => node.type === type
+    return {
+      dev: 0,
+      ino: 0,
+      mode: node.type === "directory" ? 0o40755 : 0o100644,
+      nlink: 1,
+      uid: 0,
+      gid: 0,
+      rdev: 0,
+      size,
+      blksize: 4096,
+      blocks: Math.ceil(size / 512),
+      atimeMs: node.mtime.getTime(),
+      mtimeMs: node.mtime.getTime(),
+      ctimeMs: node.mtime.getTime(),
+      birthtimeMs: node.birthtime.getTime(),
+      atime: node.mtime,
+      mtime: node.mtime,
+      ctime: node.mtime,
+      birthtime: node.birthtime,
+      isFile: is("file"),
+      isDirectory: is("directory"),
+      isSymbolicLink: () => false,
+      isBlockDevice: () => false,
+      isCharacterDevice: () => false,
+      isFIFO: () => false,
+      isSocket: () => false,
+    }
+  }
+
+  /**
+   * List a directory.
+   * @param {string} path - The absolute path.
+   * @param {Object|string} [options] - A encoding, or options with `withFileTypes` and `recursive`.
+   * @returns {Array<string|Object>} - The names, or `fs.Dirent`-like objects, sorted.
+   */
+  readdir(path, options) {
+    var node = this.#get(path)
+    if (!node) {
+      throw CensorVolume.error("ENOENT", "scandir", path)
+    }
+    if (node.type !== "directory") {
+      throw CensorVolume.error("ENOTDIR", "scandir", path)
+    }
+    var { withFileTypes, recursive } = CensorVolume.#options(options)
+    var entries = this.#descendants(path)
+      .filter((key) => recursive || this.#path.dirname(key) === path)
+      .sort()
+    if (!withFileTypes) {
+      return entries.map((key) => this.#path.relative(path, key))
+    }
+    return entries.map((key) => {
+      var type = this.#nodes.get(key).type
+      var parentPath = this.#path.dirname(key)
+      return {
+        name: this.#path.basename(key),
+        parentPath,
+        path: parentPath,
+        isFile: () => type === "file",
+        isDirectory: () => type === "directory",
+        isSymbolicLink: () => false,
+      }
+    })
+  }
+
+  /**
+   * Create a directory.
+   * @param {string} path - The absolute path.
+   * @param {Object} [options] - With `recursive`, missing parents are created and existing directories are fine.
+   * @returns {string|undefined} - With `recursive`, the first directory that was created.
+   */
+  mkdir(path, options) {
+    var node = this.#get(path)
+    if (options?.recursive) {
+      if (node?.type === "directory") {
+        return undefined
+      }
+      if (node) {
+        throw CensorVolume.error("EEXIST", "mkdir", path)
+      }
+      let first = this.mkdir(this.#path.dirname(path), options) ?? path
+      this.#nodes.set(path, { type: "directory", data: new Uint8Array(0), mtime: new Date(), birthtime: new Date() })
+      return first
+    }
+    if (node) {
+      throw CensorVolume.error("EEXIST", "mkdir", path)
+    }
+    this.#checkParent(path, "mkdir")
+    this.#nodes.set(path, { type: "directory", data: new Uint8Array(0), mtime: new Date(), birthtime: new Date() })
+    return undefined
+  }
+
+  /**
+   * Remove a file, or a directory with `recursive`.
+   * @param {string} path - The absolute path.
+   * @param {Object} [options] - `recursive` removes directories with their content, `force` ignores missing paths.
+   */
+  rm(path, options) {
+    var node = this.#get(path)
+    if (!node) {
+      if (options?.force) {
+        return
+      }
+      throw CensorVolume.error("ENOENT", "rm", path)
+    }
+    if (node.type === "directory" && !options?.recursive) {
+      throw CensorVolume.error("EISDIR", "rm", path)
+    }
+    for (const key of this.#descendants(path)) {
+      this.#nodes.delete(key)
+    }
+    this.#nodes.delete(path)
+  }
+
+  /**
+   * Remove a empty directory.
+   * @param {string} path - The absolute path.
+   * @param {Object} [options] - `recursive` also removes its content.
+   */
+  rmdir(path, options) {
+    var node = this.#get(path)
+    if (!node) {
+      throw CensorVolume.error("ENOENT", "rmdir", path)
+    }
+    if (node.type !== "directory") {
+      throw CensorVolume.error("ENOTDIR", "rmdir", path)
+    }
+    if (this.#descendants(path).length > 0 && !options?.recursive) {
+      throw CensorVolume.error("ENOTEMPTY", "rmdir", path)
+    }
+    this.rm(path, { recursive: true })
+  }
+
+  /**
+   * Remove a file.
+   * @param {string} path - The absolute path.
+   */
+  unlink(path) {
+    var node = this.#get(path)
+    if (!node) {
+      throw CensorVolume.error("ENOENT", "unlink", path)
+    }
+    if (node.type === "directory") {
+      throw CensorVolume.error("EISDIR", "unlink", path)
+    }
+    this.#nodes.delete(path)
+  }
+
+  /**
+   * Move a file or directory, replacing a existing file at the destination.
+   * @param {string} from - The absolute source path.
+   * @param {string} to - The absolute destination path.
+   */
+  rename(from, to) {
+    var node = this.#get(from)
+    if (!node) {
+      throw CensorVolume.error("ENOENT", "rename", from)
+    }
+    this.#checkParent(to, "rename")
+    var target = this.#get(to)
+    if (target?.type === "directory" && (node.type !== "directory" || this.#descendants(to).length > 0)) {
+      throw CensorVolume.error(node.type === "directory" ? "ENOTEMPTY" : "EISDIR", "rename", to)
+    }
+    var moved = [from, ...this.#descendants(from)].map((key) => [key, this.#nodes.get(key)])
+    for (const [key] of moved) {
+      this.#nodes.delete(key)
+    }
+    for (const [key, value] of moved) {
+      this.#nodes.set(to + key.slice(from.length), value)
+    }
+  }
+
+  /**
+   * Check that a path exists.
+   * @param {string} path - The absolute path.
+   */
+  access(path) {
+    if (!this.#get(path)) {
+      throw CensorVolume.error("ENOENT", "access", path)
+    }
+  }
+
+  /**
+   * The canonical path, which is the path itself as there are no links.
+   * @param {string} path - The absolute path.
+   * @returns {string}
+   */
+  realpath(path) {
+    if (!this.#get(path)) {
+      throw CensorVolume.error("ENOENT", "lstat", path)
+    }
+    return path
+  }
+
+  /**
+   * The whole volume, by path. Files are decoded as UTF-8 and directories are `null`.
+   * @returns {Object<string, string|null>}
+   */
+  toJSON() {
+    var output = {}
+    for (const key of [...this.#nodes.keys()].sort()) {
+      let node = this.#nodes.get(key)
+      output[key] = node.type === "directory" ? null : Buffer.from(node.data).toString("utf8")
+    }
+    return output
+  }
+}
+
+/**
+ * Censors `fs` and `fs/promises`. Create with `censor.fs()`.
+ *
+ * Every call of a censored function is checked against the rules and logged before anything else happens. Paths that match `virtual` go to {@link CensorFs#volume} instead of the disk, functions the volume doesn't support fail with `ENOSYS` there. Calls with a file descriptor or a `FileHandle` instead of a path are passed on unchecked.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorFs {
+  /**
+   * The `fs` and `path` modules in use.
+   * @type {{fs: Object, path: Object}}
+   * @public
+   */
+  modules
+
+  /**
+   * The virtual filesystem.
+   * @type {CensorVolume}
+   * @public
+   */
+  volume
+
+  /**
+   * The logged accesses, when logging is on.
+   * @type {FsLogEntry[]}
+   * @public
+   */
+  log
+  #allow
+  #deny
+  #virtual
+  #sink
+  #native
+  #depth
+  #registrations
+
+  /**
+   * Create a filesystem censor and start censoring.
+   * @param {Object} [options={}] - The filesystem options.
+   * @param {pathPattern} [options.allow] - Only these paths are accessible.
+   * @param {pathPattern} [options.deny] - These paths are never accessible, even if allowed. Denied calls fail with `EACCES`.
+   * @param {pathPattern} [options.virtual] - These paths go to the virtual filesystem, eg. `"**"` for everything.
+   * @param {Object<string, string|Uint8Array>} [options.files={}] - Files to start the virtual filesystem with.
+   * @param {boolean|function(FsLogEntry):void} [options.log=false] - Log every access into `log`, and pass it to the function if one is given.
+   * @param {{fs: Object, path: Object}} [options.modules] - The modules to censor, taken with `process.getBuiltinModule` or `require` by default.
+   */
+  constructor(options = {}) {
+    this.modules = {
+      fs: options.modules?.fs ?? CensorObject.builtin("fs"),
+      path: options.modules?.path ?? CensorObject.builtin("path"),
+    }
+    CensorObject.typeCheck(this.modules.fs, "object")
+    var path = this.modules.path
+    var resolve = (pattern) => (typeof pattern === "string" && !pattern.startsWith("**") ? path.resolve(pattern) : pattern)
+    this.#allow = options.allow === undefined ? null : [options.allow].flat().map(resolve)
+    this.#deny = [options.deny ?? []].flat().map(resolve)
+    this.#virtual = [options.virtual ?? []].flat().map(resolve)
+    this.volume = new CensorVolume(options.files ?? {}, path)
+    for (const pattern of this.#virtual.filter((pattern) => typeof pattern === "string")) {
+      let directory = path.dirname(pattern.split(/[*?]/)[0] + "x") // The part before any wildcard, as a directory
+      if (path.isAbsolute(directory)) {
+        this.volume.mkdir(directory, { recursive: true })
+      }
+    }
+    var cwd = path.resolve()
+    if (this.isVirtual(cwd)) {
+      this.volume.mkdir(cwd, { recursive: true }) // So relative paths work
+    }
+    this.log = []
+    this.#sink = typeof options.log === "function" ? options.log : options.log ? () => {} : null
+
+    var fs = this.modules.fs
+    this.#native = { readFileSync: fs.readFileSync, writeFileSync: fs.writeFileSync, open: fs.open } // For copies and streams
+    this.#depth = 0
+    this.#registrations = []
+    var censor = new CensorObject(fs)
+    var censors = [
+      [censor, "sync"],
+      [censor, "callback"],
+      [fs.promises && new CensorObject(fs.promises), "promise"],
+    ]
+    for (const operation of Object.keys(censorFsOperations)) {
+      for (const [target, kind] of censors) {
+        if (censorFsPlain.includes(operation) && kind !== "sync") {
+          continue
+        }
+        let name = kind === "sync" && !censorFsPlain.includes(operation) ? operation + "Sync" : operation
+        if (!target || typeof target.object[name] !== "function" || (operation === "exists" && kind !== "sync")) {
+          continue // The callback exists is deprecated, and promises have none
+        }
+        this.#registrations.push(target.whenCall(name, (ctx, ...args) => this.#call(ctx, operation, kind, args)))
+      }
+    }
+    CensorObject.builtin("module")?.syncBuiltinESMExports?.() // Update named imports of the censored functions
+  }
+
+  /**
+   * Whether a pattern matches a path.
+   * @param {string|RegExp|function(string, string, string):boolean} pattern - The pattern, strings must be absolute.
+   * @param {string} path - The absolute path.
+   * @param {string} action - Either `read` or `write`.
+   * @param {string} operation - The operation, eg. `readFile`.
+   * @returns {boolean}
+   */
+  static matches(pattern, path, action, operation) {
+    if (typeof pattern === "function") {
+      return Boolean(pattern(path, action, operation))
+    }
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0
+      return pattern.test(path)
+    }
+    var source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\/\*\*$/, "\0")
+      .replace(/\*\*/g, "\x01")
+      .replace(/\*/g, "[^/\\\\]*")
+      .replace(/\?/g, "[^/\\\\]")
+      .replace(/\x01/g, ".*")
+      .replace(/\0/g, "(?:[/\\\\].*)?")
+    return new RegExp("^" + source + "$").test(path)
+  }
+
+  /**
+   * Whether the rules allow a access.
+   * @param {string} path - The absolute path.
+   * @param {string} action - Either `read` or `write`.
+   * @param {string} [operation] - The operation, eg. `readFile`.
+   * @returns {boolean}
+   */
+  allowed(path, action, operation) {
+    var matches = (pattern) => CensorFs.matches(pattern, path, action, operation)
+    if (this.#deny.some(matches)) {
+      return false
+    }
+    return this.#allow === null || this.#allow.some(matches)
+  }
+
+  /**
+   * Whether a path goes to the virtual filesystem.
+   * @param {string} path - The absolute path.
+   * @returns {boolean}
+   */
+  isVirtual(path) {
+    return this.#virtual.some((pattern) => CensorFs.matches(pattern, path, "read", "virtual"))
+  }
+
+  /**
+   * Log a access, if logging is on. (Not for general use)
+   * @param {Object} entry - The entry, without `time`.
+   */
+  record(entry) {
+    if (!this.#sink) {
+      return
+    }
+    entry.time = Date.now()
+    this.log.push(entry)
+    this.#sink(entry)
+  }
+
+  /**
+   * The absolute path of a path argument.
+   * @param {*} path - A string, `Buffer` or `file:` URL.
+   * @returns {string|undefined} - `undefined` for file descriptors and anything else that isn't a path.
+   * @private
+   */
+  #resolve(path) {
+    if (path instanceof URL) {
+      path = CensorObject.builtin("url").fileURLToPath(path)
+    } else if (path instanceof Uint8Array) {
+      path = Buffer.from(path).toString()
+    }
+    return typeof path === "string" ? this.modules.path.resolve(path) : undefined
+  }
+
+  /**
+   * The action of opening with some flags, `write` if the flags can change the file (`w`, `a` or `+`, or their numeric versions) and `read` otherwise.
+   * @param {string|number} [flags="r"] - The flags.
+   * @param {Object} [constants={}] - `fs.constants`, for numeric flags.
+   * @returns {string} - Either `read` or `write`.
+   */
+  static openAction(flags = "r", constants = {}) {
+    if (typeof flags === "number") {
+      return flags & ((constants.O_WRONLY ?? 1) | (constants.O_RDWR ?? 2)) ? "write" : "read"
+    }
+    return /[wa+]/.test(String(flags)) ? "write" : "read"
+  }
+
+  /**
+   * The actions of a call, one per path argument.
+   * @param {string} operation - The operation.
+   * @param {*[]} args - The call arguments, without a callback.
+   * @returns {Array<string|undefined>}
+   * @private
+   */
+  #actions(operation, args) {
+    var constants = this.modules.fs.constants
+    if (operation === "open") {
+      return [CensorFs.openAction(args[1] ?? undefined, constants)]
+    }
+    if (operation === "createReadStream" || operation === "createWriteStream") {
+      let flags = typeof args[1] === "object" ? args[1]?.flags : undefined
+      return [CensorFs.openAction(flags ?? (operation === "createReadStream" ? "r" : "w"), constants)]
+    }
+    return censorFsOperations[operation]
+  }
+
+  /**
+   * What a stream or watcher function returns when it fails. Like a failed native open, the error is emitted instead of thrown.
+   * @param {string} operation - `createReadStream`, `createWriteStream` or `watch`.
+   * @param {Error} error - The error.
+   * @param {string} path - The absolute path.
+   * @returns {Object} - The failing stream or watcher.
+   * @private
+   */
+  #failed(operation, error, path) {
+    if (operation === "watch") {
+      let watcher = new (CensorObject.builtin("events").EventEmitter)()
+      Object.assign(watcher, {
+        close: () => {},
+        ref: () => watcher,
+        unref: () => watcher,
+      })
+      queueMicrotask(() => watcher.emit("error", error))
+      return watcher
+    }
+    var { Readable, Writable } = CensorObject.builtin("stream")
+    var stream =
+      operation === "createReadStream" ? new Readable({ read: () => {} }) : new Writable({ write: (chunk, encoding, done) => done(error) })
+    stream.path = path
+    stream.destroy(error) // Emits the error on the next tick
+    return stream
+  }
+
+  /**
+   * Pass a call on, with nested censored calls (like the `openSync` inside `readFileSync`) going straight through.
+   * @param {function():*} pass - Runs the call.
+   * @returns {*} - The result.
+   * @private
+   */
+  #inside(pass) {
+    this.#depth += 1
+    try {
+      return pass()
+    } finally {
+      this.#depth -= 1
+    }
+  }
+
+  /**
+   * The handle of every censored function. Checks and logs the paths, then passes the call on or runs it on the volume.
+   * @param {CensorContext} ctx - The call context.
+   * @param {string} operation - The operation, eg. `readFile`.
+   * @param {string} kind - Either `sync`, `callback` or `promise`.
+   * @param {*[]} args - The call arguments.
+   * @returns {*} - What the censored function returns.
+   * @private
+   */
+  #call(ctx, operation, kind, args) {
+    if (this.#depth > 0) {
+      return ctx.pass()
+    }
+    var callback = kind === "callback" && typeof args.at(-1) === "function" ? args.at(-1) : undefined
+    if (callback) {
+      args = args.slice(0, -1)
+    }
+    var call = kind === "promise" ? "promises." + ctx.name : ctx.name
+    var actions = this.#actions(operation, args)
+    var paths = actions.map((action, index) => action && this.#resolve(args[index]))
+    var virtual = paths.map((path) => path !== undefined && this.isVirtual(path))
+
+    var failure
+    actions.forEach((action, index) => {
+      if (paths[index] === undefined) {
+        return
+      }
+      let allowed = this.allowed(paths[index], action, operation)
+      this.record({ call, action, path: paths[index], allowed, virtual: virtual[index] })
+      failure ??= allowed ? undefined : CensorVolume.error("EACCES", operation, paths[index])
+    })
+    if (failure && operation === "exists") {
+      return false
+    }
+    if (!failure && !virtual.includes(true)) {
+      if (operation === "createReadStream" || operation === "createWriteStream") {
+        let options = typeof args[1] === "string" ? { encoding: args[1] } : { ...args[1] }
+        let fs = this.modules.fs
+        options.fs ??= { open: this.#native.open, read: fs.read, write: fs.write, writev: fs.writev, close: fs.close } // The open was already checked
+        return this.#inside(() => ctx.next(args[0], options, ...args.slice(2)))
+      }
+      return this.#inside(() => ctx.pass())
+    }
+
+    var result
+    if (!failure) {
+      try {
+        result = this.#inside(() => this.#virtualCall(operation, args, paths, virtual))
+      } catch (error) {
+        failure = error
+      }
+    }
+    if (kind === "promise") {
+      return failure ? Promise.reject(failure) : Promise.resolve(result)
+    }
+    if (kind === "callback") {
+      queueMicrotask(() => (failure ? callback?.(failure) : callback?.(null, result)))
+      return undefined
+    }
+    if (failure && censorFsPlain.includes(operation)) {
+      return this.#failed(operation, failure, paths[0])
+    }
+    if (failure) {
+      throw failure
+    }
+    return result
+  }
+
+  /**
+   * Run a operation on the virtual filesystem, copying between it and the disk where a operation has one path on each.
+   * @param {string} operation - The operation.
+   * @param {*[]} args - The call arguments, without a callback.
+   * @param {Array<string|undefined>} paths - The absolute paths.
+   * @param {boolean[]} virtual - Whether each path is virtual.
+   * @returns {*} - The result.
+   * @private
+   */
+  #virtualCall(operation, args, paths, virtual) {
+    var volume = this.volume
+    var fs = this.modules.fs
+    var [path] = paths
+    switch (operation) {
+      case "readFile":
+        return volume.readFile(path, args[1])
+      case "writeFile":
+        return volume.writeFile(path, args[1], args[2])
+      case "appendFile":
+        return volume.writeFile(path, args[1], { flag: "a", ...(typeof args[2] === "string" ? { encoding: args[2] } : args[2]) })
+      case "exists":
+        return volume.exists(path)
+      case "stat":
+      case "lstat":
+        return volume.stat(path, args[1])
+      case "readdir":
+        return volume.readdir(path, args[1])
+      case "mkdir":
+        return volume.mkdir(path, typeof args[1] === "number" ? {} : args[1])
+      case "rm":
+        return volume.rm(path, args[1])
+      case "rmdir":
+        return volume.rmdir(path, args[1])
+      case "unlink":
+        return volume.unlink(path)
+      case "rename":
+        if (virtual[0] !== virtual[1]) {
+          throw CensorVolume.error("EXDEV", "rename", paths[0])
+        }
+        return volume.rename(paths[0], paths[1])
+      case "copyFile": {
+        let exclusive = (args[2] ?? 0) & (fs.constants?.COPYFILE_EXCL ?? 1)
+        let data = virtual[0] ? volume.readFile(paths[0]) : this.#native.readFileSync.call(fs, paths[0])
+        let flag = exclusive ? "wx" : "w"
+        return virtual[1] ? volume.writeFile(paths[1], data, { flag }) : this.#native.writeFileSync.call(fs, paths[1], data, { flag })
+      }
+      case "access":
+        return volume.access(path)
+      case "realpath":
+        return volume.realpath(path)
+      default:
+        throw CensorVolume.error("ENOSYS", operation, paths[virtual.indexOf(true)])
+    }
+  }
+
+  /**
+   * Stop censoring and put the original functions back. The volume and the log are kept.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+    CensorObject.builtin("module")?.syncBuiltinESMExports?.()
+  }
+}
+
+/**
+ * Censor the Node filesystem. See {@link CensorFs}.
+ * @example
+ * // Test file heavy code without touching the disk
+ * var sandbox = censor.fs({ virtual: "**", files: { "config.json": '{"debug":true}' } })
+ * @param {Object} [options] - Options to pass to the CensorFs constructor.
+ * @returns {CensorFs} - The filesystem censor.
+ */
+censor.fs = (options) => new CensorFs(options)
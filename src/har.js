@@ -0,0 +1,442 @@
+/**
+ * HTTP recording and offline replay built on the Censor core. Captures `fetch` and `XMLHttpRequest` traffic in [HAR](http://www.softwareishard.com/blog/har-12-spec/) format, and can serve it back later without touching the network.
+ *
+ * Needs the {@link module:XHR} module to be loaded first.
+ * @module HAR
+ * @example
+ * // Record a session
+ * var recorder = censor.har({ mode: "record" })
+ * // ... use the page
+ * download(recorder.export())
+ *
+ * // Replay it, with no network
+ * censor.har({ mode: "replay", har: savedHar })
+ */
+
+/**
+ * A request in the normalized form used for matching against HAR entries.
+ * @typedef {Object} harRequestInfo
+ * @property {string} method - The upper case request method.
+ * @property {string} url - The absolute request url.
+ * @property {{name: string, value: string}[]} headers - The request headers.
+ * @property {string} [body] - The request body as text.
+ */
+
+/**
+ * How requests are matched against recorded entries when replaying.
+ * @typedef {Object} harMatchRules
+ * @property {boolean} [method=true] - Compare the request method.
+ * @property {boolean} [query=true] - Compare the query string, otherwise only the url without it.
+ * @property {boolean} [body=true] - Compare the request body.
+ * @property {string[]} [headers=[]] - Names of request headers that must also be equal.
+ */
+
+/**
+ * Records `fetch` and `XMLHttpRequest` traffic into a HAR log, or replays a HAR log in their place. Create with `censor.har()`.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorHar {
+  /**
+   * Either `"record"` or `"replay"`.
+   * @type {string}
+   * @public
+   */
+  mode
+
+  /**
+   * The HAR entries that were recorded or are being replayed.
+   * @type {Object[]}
+   * @public
+   */
+  entries
+  #target
+  #match
+  #fallback
+  #served
+  #pending
+  #bodyTimeout
+  #registrations
+
+  /**
+   * Create a recorder or replayer and start intercepting.
+   * @param {Object} [options={}] - The HAR options.
+   * @param {string} [options.mode="record"] - Either `"record"` or `"replay"`.
+   * @param {Object|string} [options.har] - A HAR log (object or JSON) to replay, or to append recordings to.
+   * @param {harMatchRules|function(harRequestInfo, Object):boolean} [options.match] - How requests are matched with entries when replaying, or a custom matcher.
+   * @param {string} [options.fallback="error"] - What happens to unmatched requests when replaying, `"error"` fails them like a network error and `"network"` lets them through.
+   * @param {Object} [options.target=globalThis] - The global object that `fetch` and `XMLHttpRequest` are taken from.
+   * @param {number} [options.bodyTimeout=5000] - How long a recorded response body may take to read, in milliseconds. Bodies that take longer, like open streams, are left out of their entry.
+   */
+  constructor(options = {}) {
+    this.mode = options.mode ?? "record"
+    if (this.mode !== "record" && this.mode !== "replay") {
+      throw new TypeError("Got mode " + this.mode + " expected record or replay")
+    }
+    var har = typeof options.har === "string" ? JSON.parse(options.har) : options.har
+    this.entries = [...(har?.log?.entries ?? [])]
+    this.#target = options.target ?? globalThis
+    if (typeof options.match === "function") {
+      this.#match = options.match
+    } else {
+      let rules = { method: true, query: true, body: true, headers: [], ...options.match }
+      this.#match = (request, entry) => CensorHar.matches(request, entry, rules)
+    }
+    this.#fallback = options.fallback ?? "error"
+    this.#served = new Map()
+    this.#pending = new Set()
+    this.#bodyTimeout = options.bodyTimeout ?? 5000
+    this.#registrations = []
+
+    if (typeof this.#target.fetch === "function") {
+      this.#registrations.push(new CensorObject(this.#target).whenCall("fetch", (ctx) => this.#fetch(ctx)))
+    }
+    if (typeof this.#target.XMLHttpRequest === "function") {
+      let xhr = new CensorXHR({ target: this.#target })
+      xhr.whenRequest((ctx, request) => this.#xhr(ctx, request))
+      this.#registrations.push(xhr)
+    }
+  }
+
+  /**
+   * The default matcher, see {@link harMatchRules}.
+   * @param {harRequestInfo} request - The request to match.
+   * @param {Object} entry - The HAR entry.
+   * @param {harMatchRules} rules - The rules to match by.
+   * @returns {boolean} - Whether the entry matches the request.
+   */
+  static matches(request, entry, rules) {
+    if (rules.method && request.method !== entry.request.method.toUpperCase()) {
+      return false
+    }
+    var url = new URL(request.url)
+    var other = new URL(entry.request.url)
+    url.hash = other.hash = ""
+    if (!rules.query) {
+      url.search = other.search = ""
+    }
+    if (url.href !== other.href) {
+      return false
+    }
+    if (rules.body && (request.body ?? "") !== (entry.request.postData?.text ?? "")) {
+      return false
+    }
+    var header = (headers, name) =>
+      headers.find((item) => item.name.toLowerCase() === name.toLowerCase())?.value
+    return rules.headers.every((name) => header(request.headers, name) === header(entry.request.headers, name))
+  }
+
+  /**
+   * Find the entry to replay for a request. Matching entries are served in recorded order, and the last one repeats once all were served.
+   * @param {harRequestInfo} request - The request to match.
+   * @returns {Object|undefined} - The HAR entry.
+   * @private
+   */
+  #find(request) {
+    var candidates = this.entries.filter((entry) => this.#match(request, entry))
+    var entry = candidates.find((candidate) => !this.#served.has(candidate)) ?? candidates.at(-1)
+    if (entry) {
+      this.#served.set(entry, (this.#served.get(entry) ?? 0) + 1)
+    }
+    return entry
+  }
+
+  /**
+   * Whether a content type is stored as text rather than base64.
+   * @param {string} mimeType - The content type.
+   * @returns {boolean}
+   * @private
+   */
+  static #isText(mimeType) {
+    return mimeType === "" || /^text\/|json|xml|javascript|ecmascript|x-www-form-urlencoded/.test(mimeType)
+  }
+
+  /**
+   * Convert a `Headers` object or a plain object of headers to HAR headers.
+   * @param {Headers|Object<string, string>} headers - The headers.
+   * @returns {{name: string, value: string}[]} - The HAR headers.
+   * @private
+   */
+  static #headers(headers) {
+    var pairs = headers instanceof Headers ? [...headers] : Object.entries(headers)
+    return pairs.map(([name, value]) => ({ name, value }))
+  }
+
+  /**
+   * Build and store a HAR entry. The entry is stored right away, in the order the responses arrived, and its content is filled in once the body was read.
+   * @param {Object} exchange - The recorded request and response, with a promise for the response bytes as `body`.
+   * @private
+   */
+  #record({ initiator, request, started, time, status, statusText, headers, mimeType, body }) {
+    var url = new URL(request.url)
+    var requestType = request.headers.find((item) => item.name.toLowerCase() === "content-type")?.value ?? ""
+    var entry = {
+      startedDateTime: started.toISOString(),
+      time,
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers: request.headers,
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: request.body?.length ?? 0,
+      },
+      response: {
+        status,
+        statusText,
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers,
+        content: { size: 0, mimeType },
+        redirectURL: "",
+        headersSize: -1,
+        bodySize: 0,
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+      _initiator: initiator,
+    }
+    if (request.body !== undefined) {
+      entry.request.postData = { mimeType: requestType, text: request.body }
+    }
+    this.entries.push(entry)
+
+    var pending = CensorObject.withDeadline(Promise.resolve(body), { timeout: this.#bodyTimeout })
+      .then(
+        (buffer) => {
+          entry.response.content = CensorHar.#content(buffer, mimeType)
+          entry.response.bodySize = entry.response.content.size
+        },
+        () => {}, // The body could not be read in time, eg. a aborted or endless stream, keep the entry without it
+      )
+      .finally(() => this.#pending.delete(pending))
+    this.#pending.add(pending)
+  }
+
+  /**
+   * Encode response bytes as HAR content, as text for textual types and base64 otherwise.
+   * @param {ArrayBuffer|Uint8Array} buffer - The response body.
+   * @param {string} mimeType - The response content type.
+   * @returns {Object} - The HAR content.
+   * @private
+   */
+  static #content(buffer, mimeType) {
+    var bytes = new Uint8Array(buffer)
+    if (CensorHar.#isText(mimeType)) {
+      return { size: bytes.length, mimeType, text: new TextDecoder().decode(bytes) }
+    }
+    var binary = ""
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000))
+    }
+    return { size: bytes.length, mimeType, text: btoa(binary), encoding: "base64" }
+  }
+
+  /**
+   * Decode HAR content back into a response body.
+   * @param {Object} content - The HAR content.
+   * @returns {string|Uint8Array} - The response body.
+   * @private
+   */
+  static #body(content) {
+    if (content.encoding !== "base64") {
+      return content.text ?? ""
+    }
+    return Uint8Array.from(atob(content.text ?? ""), (char) => char.charCodeAt(0))
+  }
+
+  /**
+   * The `fetch` handle, records the exchange or answers from the log.
+   * @param {CensorContext} ctx - The `fetch` context.
+   * @returns {Promise<Response>} - The response.
+   * @private
+   */
+  async #fetch(ctx) {
+    var request = new Request(...ctx.args)
+    var body = await request.clone().text()
+    var info = {
+      method: request.method.toUpperCase(),
+      url: request.url,
+      headers: CensorHar.#headers(request.headers),
+      body: body === "" && ["GET", "HEAD"].includes(request.method) ? undefined : body,
+    }
+
+    if (this.mode === "replay") {
+      let entry = this.#find(info)
+      if (!entry) {
+        if (this.#fallback === "network") {
+          return ctx.next(request)
+        }
+        throw new TypeError("Failed to fetch, no HAR entry for " + info.method + " " + info.url)
+      }
+      let { status, statusText, headers, content } = entry.response
+      if (status === 0) {
+        throw new TypeError("Failed to fetch, the recorded request failed") // Browsers record failed requests with status 0
+      }
+      let response = new Response([101, 103, 204, 205, 304].includes(status) ? null : CensorHar.#body(content), {
+        status,
+        statusText,
+        headers: headers.map(({ name, value }) => [name, value]),
+      })
+      Object.defineProperty(response, "url", { value: entry.request.url })
+      return response
+    }
+
+    var started = new Date()
+    var began = performance.now()
+    var response = await ctx.next(request)
+    var time = performance.now() - began
+    this.#record({
+      initiator: "fetch",
+      request: info,
+      started,
+      time,
+      status: response.status,
+      statusText: response.statusText,
+      headers: CensorHar.#headers(response.headers),
+      mimeType: response.headers.get("content-type") ?? "",
+      body: response.clone().arrayBuffer(),
+    })
+    return response
+  }
+
+  /**
+   * The text of a `XMLHttpRequest` body, for the HAR `postData`. Only text bodies are kept, others (like `FormData` or a `Blob`) are left out.
+   * @param {*} body - What `send` was called with.
+   * @returns {string|undefined}
+   * @private
+   */
+  static #text(body) {
+    if (typeof body === "string") {
+      return body
+    }
+    return typeof URLSearchParams === "function" && body instanceof URLSearchParams ? body.toString() : undefined
+  }
+
+  /**
+   * The `XMLHttpRequest` request handle, records the exchange or answers from the log.
+   * @param {CensorContext} ctx - The request context.
+   * @param {xhrRequest} request - The request.
+   * @returns {Promise<xhrResponse>} - The response.
+   * @private
+   */
+  async #xhr(ctx, request) {
+    var info = {
+      method: request.method,
+      url: request.url,
+      headers: CensorHar.#headers(request.headers),
+      body: CensorHar.#text(request.body),
+    }
+
+    if (this.mode === "replay") {
+      let entry = this.#find(info)
+      if (!entry) {
+        return this.#fallback === "network" ? ctx.pass() : { error: true }
+      }
+      let { status, statusText, headers, content } = entry.response
+      if (status === 0) {
+        return { error: true }
+      }
+      return {
+        status,
+        statusText,
+        headers: Object.fromEntries(headers.map(({ name, value }) => [name, value])),
+        body: CensorHar.#body(content),
+        url: entry.request.url,
+      }
+    }
+
+    var started = new Date()
+    var began = performance.now()
+    var response = await ctx.pass()
+    var time = performance.now() - began
+    var body = response.body
+    if (typeof Blob === "function" && body instanceof Blob) {
+      body = body.arrayBuffer()
+    } else if (typeof body === "string") {
+      body = new TextEncoder().encode(body)
+    }
+    this.#record({
+      initiator: "xhr",
+      request: info,
+      started,
+      time,
+      status: response.status,
+      statusText: response.statusText,
+      headers: CensorHar.#headers(response.headers),
+      mimeType: response.headers["content-type"] ?? "",
+      body,
+    })
+    return response
+  }
+
+  /**
+   * Wait until the bodies of every recorded response were read into their entries. Entries are stored as soon as a response arrives, so a log exported before this may still miss some response content.
+   * @example
+   * await recorder.settled()
+   * download(recorder.export(2))
+   * @returns {Promise<CensorHar>} - Resolves with self.
+   */
+  async settled() {
+    while (this.#pending.size > 0) {
+      await Promise.all(this.#pending)
+    }
+    return this
+  }
+
+  /**
+   * The recorded or replayed entries as a HAR log. See {@link CensorHar#settled} to wait for response bodies first.
+   * @returns {Object} - The HAR log.
+   */
+  toHAR() {
+    return {
+      log: {
+        version: "1.2",
+        creator: { name: "censorjs", version: "0.1.1" },
+        pages: [],
+        entries: this.entries,
+      },
+    }
+  }
+
+  /**
+   * Export the HAR log as JSON, see {@link CensorHar#toHAR}.
+   * @param {number|string} [space] - Indentation, passed to `JSON.stringify`.
+   * @returns {string} - The HAR JSON.
+   */
+  export(space) {
+    return JSON.stringify(this.toHAR(), null, space)
+  }
+
+  /**
+   * Remove every entry and forget which entries were served.
+   * @returns {CensorHar} - Returns self for chaining.
+   */
+  clear() {
+    this.entries = []
+    this.#served.clear()
+    return this
+  }
+
+  /**
+   * Stop recording or replaying, restoring `fetch` and `XMLHttpRequest`.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+  }
+}
+
+/**
+ * Start recording or replaying HTTP traffic. See {@link CensorHar}.
+ * @example
+ * censor.har({ mode: "replay", har: savedHar, match: { query: false } })
+ * @param {Object} [options] - Options to pass to the CensorHar constructor.
+ * @returns {CensorHar} - The recorder or replayer.
+ */
+censor.har = (options) => new CensorHar(options)
@@ -0,0 +1,537 @@
+/**
+ * Node request interception built on the Censor core. Runs every `http.request`, `https.request`, `http.get`, `https.get` and `fetch` request through the same request handles, which can inspect it, answer it with a mock, pass it on to the network or block it. Network access policies decide which hosts passed requests may reach.
+ * @module HTTP
+ * @example
+ * var http = censor.http({ deny: "*" }) // Nothing reaches the network
+ * http.whenRequest((ctx, request) => {
+ *   if (request.url === "https://api.example.com/user") {
+ *     return { status: 200, headers: { "content-type": "application/json" }, body: { name: "Ada" } }
+ *   }
+ *   return ctx.pass() // Fails, as the policy denies every host
+ * })
+ */
+
+/**
+ * A request as seen by a request handle. Changes made to it before `ctx.pass()` or passing a modified copy to `ctx.next()` change the real request.
+ * @typedef {Object} httpRequest
+ * @property {string} api - What made the request, `"http"`, `"https"` or `"fetch"`.
+ * @property {string} method - The upper case request method.
+ * @property {string} url - The absolute request url.
+ * @property {Object<string, string|string[]>} headers - The request headers, by lower case name.
+ * @property {Uint8Array|string} [body] - The request body, if there is one.
+ */
+
+/**
+ * A response returned by a request handle, or resolved by `ctx.pass()`. Missing fields take their defaults.
+ * @typedef {Object} httpResponse
+ * @property {number} [status=200] - The response status.
+ * @property {string} [statusText=""] - The response status text.
+ * @property {Object<string, string|string[]>} [headers={}] - The response headers.
+ * @property {string|ArrayBuffer|ArrayBufferView|Object} [body=""] - The response body, objects are sent as JSON. Real responses have a `Uint8Array`.
+ * @property {string} [url] - The response url, the request url by default.
+ * @property {boolean} [error] - Fail the request like a network error instead.
+ */
+
+/**
+ * What the network policy allows or denies. Strings are globs (where `*` matches anything) compared with the host name, `RegExp`s are tested against the url and functions get the {@link httpRequest}.
+ * @typedef {string|RegExp|function(httpRequest):boolean|Array<string|RegExp|function(httpRequest):boolean>} networkPattern
+ */
+
+/**
+ * Intercepts Node requests at the request level. Create with `censor.http()`.
+ *
+ * While no request handle is registered and no policy is set, requests are left completely alone. Otherwise every request runs through the handles, `http` and `https` requests get a stand-in `ClientRequest` that collects the body until `end()`, and mocked responses are delivered as a `IncomingMessage`-like stream. The real request (if a handle passes it on and the policy allows it) is made with the original functions.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorHttp {
+  /**
+   * The `http`, `https` and `stream` modules in use.
+   * @type {{http: Object, https: Object, stream: Object}}
+   * @public
+   */
+  modules
+
+  /**
+   * What happens when a request handle throws or rejects.
+   * @type {errorPolicy}
+   * @public
+   */
+  onError
+  #chain
+  #allow
+  #deny
+  #originals
+  #registrations
+
+  /**
+   * Create a interceptor.
+   * @param {Object} [options={}] - The interceptor options.
+   * @param {networkPattern} [options.allow] - Only these hosts can be reached by passed requests.
+   * @param {networkPattern} [options.deny] - These hosts can never be reached, even if allowed.
+   * @param {boolean} [options.fetch=true] - Also intercept the global `fetch`.
+   * @param {{http: Object, https: Object, stream: Object}} [options.modules] - The modules to censor, taken with `process.getBuiltinModule` or `require` by default. Needed on older Node versions when loaded as a ES module.
+   * @param {Object} [options.target=globalThis] - The object `fetch` is taken from.
+   * @param {errorPolicy} [options.onError="rethrow"] - What happens when a request handle throws or rejects. Rethrown errors fail the request with that error.
+   */
+  constructor(options = {}) {
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+    this.modules = {}
+    for (const name of ["http", "https", "stream"]) {
+      this.modules[name] = options.modules?.[name] ?? CensorObject.builtin(name)
+    }
+    if ((this.modules.http || this.modules.https) && !this.modules.stream) {
+      throw new TypeError("Could not load the stream module, pass it through options.modules")
+    }
+    this.#allow = options.allow === undefined ? null : [options.allow].flat()
+    this.#deny = [options.deny ?? []].flat()
+    this.#chain = []
+    this.#originals = {}
+    this.#registrations = []
+
+    for (const api of ["http", "https"]) {
+      let module = this.modules[api]
+      if (!module) {
+        continue
+      }
+      this.#originals[api + ":"] = module.request // Taken before censoring, for the real requests
+      let censor = new CensorObject(module)
+      this.#registrations.push(
+        censor.whenCall("request", (ctx, ...args) => (this.#active() ? this.#request(api, args) : ctx.pass())),
+        censor.whenCall("get", (ctx, ...args) => (this.#active() ? this.#request(api, args).end() : ctx.pass())),
+      )
+    }
+    var target = options.target ?? globalThis
+    if ((options.fetch ?? true) && typeof target.fetch === "function") {
+      let original = target.fetch.bind(target)
+      this.#registrations.push(
+        new CensorObject(target).whenCall("fetch", (ctx, input, init) =>
+          this.#active() ? this.#fetch(original, input, init) : ctx.pass(),
+        ),
+      )
+    }
+    CensorObject.builtin("module")?.syncBuiltinESMExports?.() // Update named imports of the censored functions
+  }
+
+  /**
+   * Whether a pattern matches a request.
+   * @param {string|RegExp|function(httpRequest):boolean} pattern - The pattern.
+   * @param {httpRequest} request - The request.
+   * @returns {boolean}
+   */
+  static matches(pattern, request) {
+    if (typeof pattern === "function") {
+      return Boolean(pattern(request))
+    }
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0
+      return pattern.test(request.url)
+    }
+    var glob = new RegExp("^" + pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$")
+    return glob.test(new URL(request.url).hostname)
+  }
+
+  /**
+   * Whether the network policy lets a request reach the network.
+   * @param {httpRequest} request - The request.
+   * @returns {boolean}
+   */
+  allowed(request) {
+    var matches = (pattern) => CensorHttp.matches(pattern, request)
+    if (this.#deny.some(matches)) {
+      return false
+    }
+    return this.#allow === null || this.#allow.some(matches)
+  }
+
+  /**
+   * Whether requests need intercepting.
+   * @returns {boolean}
+   * @private
+   */
+  #active() {
+    return this.#chain.length > 0 || this.#allow !== null || this.#deny.length > 0
+  }
+
+  /**
+   * Convert a body into bytes.
+   * @param {*} body - The body.
+   * @returns {Uint8Array}
+   * @private
+   */
+  static #bytes(body) {
+    if (body === undefined || body === null) {
+      return new Uint8Array(0)
+    }
+    if (typeof body === "string") {
+      return new TextEncoder().encode(body)
+    }
+    if (body instanceof ArrayBuffer) {
+      return new Uint8Array(body)
+    }
+    if (ArrayBuffer.isView(body)) {
+      return new Uint8Array(body.buffer, body.byteOffset, body.byteLength)
+    }
+    return new TextEncoder().encode(JSON.stringify(body))
+  }
+
+  /**
+   * Normalize headers given as a object, a `Headers` or a flat `[name, value, ...]` array.
+   * @param {Object|Headers|string[]} [headers] - The headers.
+   * @returns {Object<string, string|string[]>} - The headers by lower case name.
+   * @private
+   */
+  static #headers(headers) {
+    var output = {}
+    var entries = headers ?? {}
+    if (Array.isArray(headers)) {
+      entries = []
+      for (let index = 0; index < headers.length; index += 2) {
+        entries.push([headers[index], headers[index + 1]])
+      }
+    } else if (typeof headers?.entries !== "function" || typeof headers?.get !== "function") {
+      entries = Object.entries(entries) // Not a Headers or Map
+    }
+    for (const [name, value] of entries) {
+      if (value !== undefined) {
+        output[String(name).toLowerCase()] = Array.isArray(value) ? value.map(String) : String(value)
+      }
+    }
+    return output
+  }
+
+  /**
+   * The error a request fails with when it can't reach the network.
+   * @param {httpRequest} request - The request.
+   * @param {string} reason - Why it failed.
+   * @returns {Error} - A `ECONNREFUSED` error, wrapped in a `TypeError` like a failed `fetch` for fetch requests.
+   * @private
+   */
+  static #networkError(request, reason) {
+    var error = new Error(request.method + " " + request.url + " " + reason)
+    error.code = "ECONNREFUSED"
+    return request.api === "fetch" ? new TypeError("fetch failed", { cause: error }) : error
+  }
+
+  /**
+   * Run a request through the handles.
+   * @param {httpRequest} request - The request.
+   * @param {*} subject - The subject of each context.
+   * @param {function(httpRequest):Promise<httpResponse>} send - Makes the real request.
+   * @returns {Promise<httpResponse|undefined>}
+   * @private
+   */
+  #run(request, subject, send) {
+    var network = (request) => {
+      if (!this.allowed(request)) {
+        return Promise.reject(CensorHttp.#networkError(request, "is not allowed by the network policy"))
+      }
+      return send(request)
+    }
+    try {
+      return Promise.resolve(CensorObject.runChain(this, "request", this.#chain, [request], network, subject))
+    } catch (error) {
+      return Promise.reject(error)
+    }
+  }
+
+  /**
+   * Create the stand-in `ClientRequest` of a `http` or `https` request.
+   * @param {string} api - Either `"http"` or `"https"`.
+   * @param {*[]} args - What `request` or `get` was called with.
+   * @returns {Writable} - The stand-in request.
+   * @private
+   */
+  #request(api, args) {
+    args = [...args]
+    var callback = typeof args.at(-1) === "function" ? args.pop() : undefined
+    var url = typeof args[0] === "string" || args[0] instanceof URL ? new URL(args.shift()) : null
+    var options = { ...args[0] }
+    var protocol = options.protocol ?? url?.protocol ?? api + ":"
+    var hostname = options.hostname ?? options.host?.replace(/:\d+$/, "") ?? url?.hostname ?? "localhost"
+    var origin = new URL(protocol + "//" + (hostname.includes(":") && !hostname.startsWith("[") ? "[" + hostname + "]" : hostname))
+    origin.port = String(options.port ?? url?.port ?? "")
+    var path = options.path ?? (url ? url.pathname + url.search : "/")
+    var headers = CensorHttp.#headers(options.headers)
+    var auth = options.auth ?? (url?.username ? decodeURIComponent(url.username) + ":" + decodeURIComponent(url.password) : null)
+    if (auth && !headers.authorization) {
+      headers.authorization = "Basic " + btoa(auth)
+    }
+
+    var state = { pending: true, internal: null, timer: undefined }
+    var chunks = []
+    var req = new this.modules.stream.Writable({
+      autoDestroy: false, // Destroyed once the response ends, so `close` comes after it like on a real request
+      write: (chunk, encoding, done) => {
+        chunks.push(chunk)
+        done()
+      },
+      final: (done) => {
+        done()
+        req.headersSent = true
+        var request = {
+          api,
+          method: req.method,
+          url: origin.origin + (path.startsWith("/") ? path : "/" + path),
+          headers: { ...headers },
+          body: chunks.length > 0 ? Buffer.concat(chunks) : undefined,
+        }
+        this.#run(request, req, (request) => this.#send(state, options, request)).then(
+          (response) => {
+            if (!state.pending) {
+              return // Aborted
+            }
+            if (response === undefined || response.error) {
+              req.destroy(CensorHttp.#networkError(request, "was blocked by a request handle"))
+              return
+            }
+            state.pending = false
+            clearTimeout(state.timer)
+            var res = this.#incomingMessage(response)
+            res.once("end", () => req.destroy())
+            req.emit("response", res)
+          },
+          (error) => {
+            if (state.pending) {
+              req.destroy(error)
+            }
+          },
+        )
+      },
+      destroy: (error, done) => {
+        state.pending = false
+        clearTimeout(state.timer)
+        state.internal?.destroy()
+        done(error)
+      },
+    })
+
+    Object.assign(req, {
+      method: String(options.method ?? "GET").toUpperCase(),
+      path,
+      host: hostname,
+      protocol,
+      headersSent: false,
+      reusedSocket: false,
+      socket: null,
+      setHeader: (name, value) => {
+        headers[String(name).toLowerCase()] = Array.isArray(value) ? value.map(String) : String(value)
+        return req
+      },
+      getHeader: (name) => headers[String(name).toLowerCase()],
+      hasHeader: (name) => String(name).toLowerCase() in headers,
+      removeHeader: (name) => {
+        delete headers[String(name).toLowerCase()]
+      },
+      getHeaders: () => ({ ...headers }),
+      getHeaderNames: () => Object.keys(headers),
+      flushHeaders: () => {},
+      setNoDelay: () => {},
+      setSocketKeepAlive: () => {},
+      setTimeout: (ms, listener) => {
+        if (listener) {
+          req.once("timeout", listener)
+        }
+        clearTimeout(state.timer)
+        if (ms > 0 && state.pending) {
+          state.timer = setTimeout(() => req.emit("timeout"), ms)
+        }
+        return req
+      },
+      abort: () => {
+        if (!req.destroyed) {
+          req.emit("abort")
+          req.destroy()
+        }
+      },
+    })
+    if (callback) {
+      req.once("response", callback)
+    }
+    if (options.timeout) {
+      req.setTimeout(options.timeout)
+    }
+    return req
+  }
+
+  /**
+   * Create a `IncomingMessage`-like stream of a response.
+   * @param {httpResponse} response - The response.
+   * @returns {Readable} - The response stream, with `statusCode`, `statusMessage`, `headers` and `rawHeaders`.
+   * @private
+   */
+  #incomingMessage(response) {
+    var headers = CensorHttp.#headers(response.headers)
+    var body = CensorHttp.#bytes(response.body)
+    var res = new this.modules.stream.Readable({ read: () => {} })
+    Object.assign(res, {
+      statusCode: response.status ?? 200,
+      statusMessage: response.statusText ?? "",
+      headers,
+      rawHeaders: Object.entries(headers).flatMap(([name, value]) => [value].flat().flatMap((item) => [name, item])),
+      trailers: {},
+      rawTrailers: [],
+      httpVersion: "1.1",
+      httpVersionMajor: 1,
+      httpVersionMinor: 1,
+      url: "",
+      method: null,
+      complete: false,
+      socket: null,
+      setTimeout: () => res,
+    })
+    res.once("end", () => {
+      res.complete = true
+    })
+    if (body.byteLength > 0) {
+      res.push(body)
+    }
+    res.push(null)
+    return res
+  }
+
+  /**
+   * Make the real `http` or `https` request with the original function. Used at the end of the handle chain.
+   * @param {Object} state - The request state.
+   * @param {Object} options - The options the request was made with, keeping things like the `agent`.
+   * @param {httpRequest} request - The request, as changed by the handles.
+   * @returns {Promise<httpResponse>} - The real response.
+   * @private
+   */
+  #send(state, options, request) {
+    return new Promise((resolve, reject) => {
+      if (!state.pending) {
+        reject(new DOMException("The request was aborted.", "AbortError"))
+        return
+      }
+      var url = new URL(request.url)
+      var original = this.#originals[url.protocol]
+      if (!original) {
+        reject(new TypeError('Protocol "' + url.protocol + '" not supported'))
+        return
+      }
+      var rest = { ...options }
+      for (const name of ["protocol", "host", "hostname", "port", "path", "auth", "method", "headers", "timeout"]) {
+        delete rest[name]
+      }
+      var internal = original(url, { ...rest, method: request.method, headers: request.headers }, (res) => {
+        var chunks = []
+        res.on("data", (chunk) => chunks.push(chunk))
+        res.on("error", reject)
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            statusText: res.statusMessage,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+            url: request.url,
+          }),
+        )
+      })
+      state.internal = internal
+      internal.on("error", reject)
+      internal.end(request.body)
+    })
+  }
+
+  /**
+   * Run a `fetch` call through the handles.
+   * @param {function(...*):Promise<Response>} original - The original `fetch`.
+   * @param {RequestInfo|URL} input - The resource.
+   * @param {RequestInit} [init] - The options.
+   * @returns {Promise<Response>}
+   * @private
+   */
+  async #fetch(original, input, init) {
+    var source = new Request(input, init)
+    var request = {
+      api: "fetch",
+      method: source.method,
+      url: source.url,
+      headers: CensorHttp.#headers(source.headers),
+      body: source.body ? new Uint8Array(await source.arrayBuffer()) : undefined,
+    }
+    var send = async (request) => {
+      var response = await original(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        redirect: source.redirect,
+        signal: source.signal,
+      })
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: CensorHttp.#headers(response.headers),
+        body: new Uint8Array(await response.arrayBuffer()),
+        url: response.url,
+      }
+    }
+    var response = await CensorObject.withDeadline(this.#run(request, source, send), { signal: source.signal })
+    if (response === undefined || response.error) {
+      throw CensorHttp.#networkError(request, "was blocked by a request handle")
+    }
+
+    var status = response.status ?? 200
+    var headers = new Headers()
+    for (const [name, value] of Object.entries(CensorHttp.#headers(response.headers))) {
+      for (const item of [value].flat()) {
+        headers.append(name, item)
+      }
+    }
+    var result = new Response([101, 204, 205, 304].includes(status) ? null : CensorHttp.#bytes(response.body), {
+      status,
+      statusText: response.statusText ?? "",
+      headers,
+    })
+    Object.defineProperty(result, "url", { value: response.url ?? request.url })
+    return result
+  }
+
+  /**
+   * Register a request handle. The handle gets the context and the {@link httpRequest}, `ctx.pass()` resolves with the real {@link httpResponse}, and whatever the handle returns (or resolves with) is delivered. Returning nothing or `{ error: true }` fails the request like a network error.
+   * @example
+   * censor.http().whenRequest(async (ctx, request) => {
+   *   var response = await ctx.pass()
+   *   console.log(request.method, request.url, response.status)
+   *   return response
+   * })
+   * @param {function(CensorContext, httpRequest):(httpResponse|Promise<httpResponse>)} handle - The request handle.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenRequest(handle, options = {}) {
+    CensorObject.typeCheck(handle, "function")
+    var entry = CensorObject.insertHandle(this.#chain, handle, options)
+    return new CensorRegistration(this, () => {
+      var index = this.#chain.indexOf(entry)
+      if (index !== -1) {
+        this.#chain.splice(index, 1)
+      }
+    })
+  }
+
+  /**
+   * Stop intercepting and put the original functions back.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+    this.#chain = []
+    CensorObject.builtin("module")?.syncBuiltinESMExports?.()
+  }
+}
+
+/**
+ * Intercept Node requests. See {@link CensorHttp}.
+ * @example
+ * // Offline tests, only localhost is reachable
+ * censor.http({ allow: ["localhost", "127.0.0.1"] })
+ * @param {Object} [options] - Options to pass to the CensorHttp constructor.
+ * @returns {CensorHttp} - The interceptor.
+ */
+censor.http = (options) => new CensorHttp(options)
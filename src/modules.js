@@ -0,0 +1,441 @@
+/**
+ * A Node module loader preset built on the Censor core. Hooks `require` (through `Module._load`) and `import` (through `module.registerHooks`) so censors are applied, or replacement modules swapped in, before any other module gets a reference to the exports.
+ *
+ * Load it before the modules it censors, eg. with `node --import ./censors.js app.js`. `import` is only intercepted where `module.registerHooks` exists (Node 22.15 and later), on older versions only `require` is.
+ * @module Modules
+ * @example
+ * var modules = censor.modules()
+ * modules.censorObject("axios", (censor) => {
+ *   censor.whenCall("get", (ctx, url) => (url.startsWith("https://api.example.com/") ? ctx.pass() : Promise.reject(new Error("Blocked"))))
+ * })
+ * modules.replace("node-notifier", { notify: () => {} })
+ */
+
+/**
+ * A module being loaded, as seen by a load handle.
+ * @typedef {Object} loadedModule
+ * @property {string} specifier - What was passed to `require` or `import`.
+ * @property {string} [filename] - The resolved path, or `node:<name>` for builtins. Missing if it doesn't resolve.
+ * @property {string} format - `builtin` for Node builtins, `commonjs` for required and `module` for imported files.
+ */
+
+/**
+ * Which modules a handle applies to. Strings are compared with the specifier and the resolved path (with or without `node:` for builtins), `RegExp`s are tested against both and functions get the {@link loadedModule}.
+ * @typedef {string|RegExp|function(loadedModule):boolean|Array<string|RegExp|function(loadedModule):boolean>} modulePattern
+ */
+
+/**
+ * The loader state shared by every {@link CensorModules}, since the loader hooks are registered only once.
+ * @type {{instances: Set<CensorModules>, specifiers: Map<string, string>, wrappers: Map<string, {module: loadedModule, error: (Error|undefined)}>, exports: Map<string, Object>, hooks: (Object|null), loading: (string|null), importing: (loadedModule|null)}}
+ * @private
+ */
+const censorModuleLoader = {
+  instances: new Set(),
+  specifiers: new Map(), // Required paths of packages imported by name
+  wrappers: new Map(), // Generated module URLs and the module (and resolve error) they stand in for
+  exports: (globalThis[Symbol.for("censorjs.modules")] ??= new Map()), // Read by the generated modules
+  hooks: null,
+  loading: null,
+  importing: null, // The imported CommonJS file being required, so its handles see the import specifier
+}
+
+/**
+ * Censors modules as they are loaded. Create with `censor.modules()`.
+ *
+ * Handles run on every `require` of a matching module (Node caches the exports, not the result of the handles) and once per imported module. Imported ES modules are copied into a plain object before the handles get them, so censoring them changes what importers see but not what the module uses itself. Imported ES modules with top-level `await` can't be censored.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorModules {
+  /**
+   * What happens when a load handle throws.
+   * @type {errorPolicy}
+   * @public
+   */
+  onError
+  #chain
+  #hook
+  #registrations
+
+  /**
+   * Create the preset and start hooking the loader.
+   * @param {Object} [options={}] - The preset options.
+   * @param {errorPolicy} [options.onError="rethrow"] - What happens when a load handle throws. Rethrown errors fail the `require` or `import`.
+   */
+  constructor(options = {}) {
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+    var Module = CensorObject.builtin("module")
+    CensorObject.typeCheck(Module, "function")
+    this.#chain = []
+    this.#registrations = []
+    this.#hook = new CensorObject(Module).whenCall("_load", (ctx, request, parent, isMain) => {
+      if (this.#chain.length === 0 || request === censorModuleLoader.loading) {
+        return ctx.pass()
+      }
+      return this.#apply(CensorModules.#describe(Module, request, parent, isMain), () => ctx.pass())
+    })
+    censorModuleLoader.instances.add(this)
+    if (typeof Module.registerHooks === "function") {
+      censorModuleLoader.hooks ??= Module.registerHooks({
+        resolve: (specifier, context, nextResolve) => CensorModules.#resolve(specifier, context, nextResolve),
+        load: (url, context, nextLoad) => CensorModules.#load(url, context, nextLoad),
+      })
+    }
+  }
+
+  /**
+   * Whether a pattern matches a module.
+   * @param {modulePattern} pattern - The pattern.
+   * @param {loadedModule} module - The module.
+   * @returns {boolean}
+   */
+  static matches(pattern, module) {
+    if (Array.isArray(pattern)) {
+      return pattern.some((item) => CensorModules.matches(item, module))
+    }
+    if (typeof pattern === "function") {
+      return Boolean(pattern(module))
+    }
+    var names = [module.specifier, module.filename].filter((name) => typeof name === "string")
+    names = [...names, ...names.map((name) => name.replace(/^node:/, ""))]
+    if (pattern instanceof RegExp) {
+      return names.some((name) => {
+        pattern.lastIndex = 0
+        return pattern.test(name)
+      })
+    }
+    return names.includes(pattern) || names.includes(pattern.replace(/^node:/, ""))
+  }
+
+  /**
+   * Describe a `require` call.
+   * @param {Function} Module - The `Module` class.
+   * @param {string} request - The required specifier.
+   * @param {Object} [parent] - The requiring module.
+   * @param {boolean} [isMain] - Whether it is the entry point.
+   * @returns {loadedModule}
+   * @private
+   */
+  static #describe(Module, request, parent, isMain) {
+    if (Module.isBuiltin(request)) {
+      return { specifier: request, filename: "node:" + request.replace(/^node:/, ""), format: "builtin" }
+    }
+    var filename
+    try {
+      filename = Module._resolveFilename(request, parent, isMain)
+    } catch {
+      // Let the load fail as usual, unless a handle replaces it
+    }
+    var specifier = request
+    if (request === filename) {
+      let importing = censorModuleLoader.importing
+      specifier = importing?.filename === filename ? importing.specifier : (censorModuleLoader.specifiers.get(filename) ?? request)
+    }
+    return { specifier, filename, format: "commonjs" }
+  }
+
+  /**
+   * Run the matching load handles.
+   * @param {loadedModule} module - The module.
+   * @param {function():*} load - Loads the real exports.
+   * @returns {*} - The exports to use.
+   * @private
+   */
+  #apply(module, load) {
+    var chain = this.#chain.filter((entry) => CensorModules.matches(entry.pattern, module))
+    if (chain.length === 0) {
+      return load()
+    }
+    return CensorObject.runChain(this, "load", chain, [module], () => load())
+  }
+
+  /**
+   * Whether any instance has a handle for a module.
+   * @param {loadedModule} module - The module.
+   * @returns {boolean}
+   * @private
+   */
+  static #handled(module) {
+    return [...censorModuleLoader.instances].some((instance) =>
+      instance.#chain.some((entry) => CensorModules.matches(entry.pattern, module)),
+    )
+  }
+
+  /**
+   * Point a import to a generated module.
+   * @param {string} key - The resolved URL, or the specifier if it didn't resolve.
+   * @param {loadedModule} module - The module.
+   * @param {Error} [error] - The resolve error, thrown when the real module is loaded.
+   * @returns {Object} - The resolve hook result.
+   * @private
+   */
+  static #wrap(key, module, error) {
+    var url = "censorjs-module:" + encodeURIComponent(key)
+    if (!censorModuleLoader.wrappers.has(url)) {
+      censorModuleLoader.wrappers.set(url, { module, error })
+    }
+    return { url, format: "module", shortCircuit: true }
+  }
+
+  /**
+   * The `resolve` loader hook. Sends matching modules to a generated module that exports the censored exports, so do imports that don't resolve but could be replaced.
+   * @private
+   */
+  static #resolve(specifier, context, nextResolve) {
+    if (context.conditions?.includes("require")) {
+      return nextResolve(specifier, context) // Handled by Module._load
+    }
+    var result
+    try {
+      result = nextResolve(specifier, context)
+    } catch (error) {
+      let module = { specifier, format: "module" }
+      if (!CensorModules.#handled(module)) {
+        throw error
+      }
+      return CensorModules.#wrap(/^\.{0,2}\//.test(specifier) ? new URL(specifier, context.parentURL).href : specifier, module, error)
+    }
+    var format = result.url.startsWith("node:") ? "builtin" : (result.format ?? "module") // Corrected in the load hook
+    var filename = result.url.startsWith("file:") ? CensorObject.builtin("url").fileURLToPath(result.url) : result.url
+    if (format !== "builtin" && !/^[./]|^file:/.test(specifier) && !censorModuleLoader.specifiers.has(filename)) {
+      censorModuleLoader.specifiers.set(filename, specifier)
+    }
+    var module = { specifier, filename, format }
+    if (!["builtin", "commonjs", "module"].includes(format) || !CensorModules.#handled(module)) {
+      return result
+    }
+    return CensorModules.#wrap(result.url, module)
+  }
+
+  /**
+   * The `load` loader hook. Loads the real module, runs the handles of every instance and generates a module exporting the result. Imported CommonJS files are required, so `Module._load` runs their handles.
+   * @private
+   */
+  static #load(url, context, nextLoad) {
+    if (!censorModuleLoader.wrappers.has(url)) {
+      return nextLoad(url, context)
+    }
+    var { module, error } = censorModuleLoader.wrappers.get(url)
+    if (!error && module.format !== "builtin") {
+      let original = decodeURIComponent(url.slice("censorjs-module:".length))
+      module.format = nextLoad(original, { ...context, format: undefined }).format === "module" ? "module" : "commonjs"
+    }
+    var load = () => {
+      if (error) {
+        throw error
+      } else if (module.format === "builtin") {
+        return CensorObject.builtin(module.filename.replace(/^node:/, ""))
+      } else if (module.format === "commonjs") {
+        censorModuleLoader.importing = module
+        try {
+          return CensorObject.builtin("module").createRequire(module.filename)(module.filename) // Module._load runs the handles
+        } finally {
+          censorModuleLoader.importing = null
+        }
+      }
+      censorModuleLoader.loading = module.filename
+      try {
+        var { __esModule, ...exports } = CensorObject.builtin("module").createRequire(module.filename)(module.filename) // Without the marker require() adds
+        return exports
+      } finally {
+        censorModuleLoader.loading = null
+      }
+    }
+    if (module.format !== "commonjs") {
+      for (const instance of censorModuleLoader.instances) {
+        let next = load
+        load = () => instance.#apply(module, next)
+      }
+    }
+    var exports = load()
+    var values = module.format === "module" ? { ...exports } : { ...exports, default: exports }
+    censorModuleLoader.exports.set(url, values)
+    var source = [`var values = globalThis[Symbol.for("censorjs.modules")].get(${JSON.stringify(url)})`]
+    for (const [index, name] of Object.keys(values).entries()) {
+      source.push(`var value${index} = values[${JSON.stringify(name)}]`, `export { value${index} as ${JSON.stringify(name)} }`)
+    }
+    return { format: "module", source: source.join("\n"), shortCircuit: true }
+  }
+
+  /**
+   * Apply a censor right away to builtins named by a string, since they are already loaded and may be imported where the loader can't be hooked.
+   * @param {modulePattern} pattern - The pattern.
+   * @param {function(*, loadedModule):*} apply - Censors the exports.
+   * @private
+   */
+  #eager(pattern, apply) {
+    var Module = CensorObject.builtin("module")
+    for (const name of [pattern].flat()) {
+      if (typeof name === "string" && Module.isBuiltin(name)) {
+        let filename = "node:" + name.replace(/^node:/, "")
+        apply(CensorObject.builtin(filename.slice(5)), { specifier: name, filename, format: "builtin" })
+      }
+    }
+  }
+
+  /**
+   * Add a load handle with something to undo once it is disposed.
+   * @param {modulePattern} pattern - The modules it applies to.
+   * @param {function(CensorContext, loadedModule):*} handle - The load handle.
+   * @param {handleOptions} options - The handle options.
+   * @param {Array<function():void>} [restores=[]] - Called once the registration is disposed.
+   * @returns {CensorRegistration}
+   * @private
+   */
+  #register(pattern, handle, options, restores = []) {
+    var entry = CensorObject.insertHandle(this.#chain, handle, options)
+    entry.pattern = pattern
+    var registration = new CensorRegistration(this, () => {
+      var index = this.#chain.indexOf(entry)
+      if (index !== -1) {
+        this.#chain.splice(index, 1)
+      }
+      for (const restore of restores.splice(0).reverse()) {
+        restore()
+      }
+      CensorObject.builtin("module").syncBuiltinESMExports?.()
+    })
+    this.#registrations.push(registration)
+    return registration
+  }
+
+  /**
+   * Register a load handle. The handle gets the context and the {@link loadedModule}, `ctx.pass()` loads the real exports and the returned value is what the `require` or `import` gets. Handles must be synchronous.
+   * @example
+   * censor.modules().whenLoad(/^lodash/, (ctx, module) => {
+   *   console.log("Loading", module.specifier, "from", module.filename)
+   *   return ctx.pass()
+   * })
+   * @param {modulePattern} pattern - The modules it applies to.
+   * @param {function(CensorContext, loadedModule):*} handle - The load handle.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenLoad(pattern, handle, options = {}) {
+    CensorObject.typeCheck(handle, "function")
+    return this.#register(pattern, handle, options)
+  }
+
+  /**
+   * Censor the exports of matching modules with a {@link CensorObject}, once per exports object. Builtins named by a string are censored right away. Disposing the registration restores the exports.
+   * @example
+   * censor.modules().censorObject("child_process", (censor) => {
+   *   censor.whenCall("exec", (ctx, command) => (command.startsWith("git ") ? ctx.pass() : undefined))
+   * })
+   * @param {modulePattern} pattern - The modules it applies to.
+   * @param {function(CensorObject, *, loadedModule):void} setup - Registers the handles on the censor of the exports.
+   * @param {handleOptions} [options={}] - The load handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  censorObject(pattern, setup, options = {}) {
+    CensorObject.typeCheck(setup, "function")
+    var censored = new WeakSet()
+    var restores = []
+    var apply = (exports, module) => {
+      if (((typeof exports === "object" && exports !== null) || typeof exports === "function") && !censored.has(exports)) {
+        censored.add(exports)
+        let censor = new CensorObject(exports, { onError: this.onError })
+        restores.push(() => censor.restoreAll())
+        setup(censor, exports, module)
+        if (module.format === "builtin") {
+          CensorObject.builtin("module").syncBuiltinESMExports?.()
+        }
+      }
+      return exports
+    }
+    this.#eager(pattern, apply)
+    return this.#register(pattern, (ctx, module) => apply(ctx.pass(), module), options, restores)
+  }
+
+  /**
+   * Censor a class exported by matching modules with a {@link CensorClass}, once per exports object. The export is replaced by the censored class. Builtins named by a string are censored right away. Disposing the registration puts the original class back.
+   * @example
+   * censor.modules().censorClass("ws", "WebSocket", (censor) => {
+   *   censor.whenCall("send", (ctx, data) => ctx.pass())
+   * })
+   * @param {modulePattern} pattern - The modules it applies to.
+   * @param {string|null} name - The name of the export, or `null` if the exports are the class itself.
+   * @param {function(CensorClass, *, loadedModule):void} setup - Registers the handles on the class censor.
+   * @param {Object} [options={}] - The load handle options, see {@link handleOptions}.
+   * @param {string} [options.mode="class"] - The {@link CensorClass} mode.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  censorClass(pattern, name, setup, options = {}) {
+    CensorObject.typeCheck(setup, "function")
+    var results = new WeakMap()
+    var restores = []
+    var apply = (exports, module) => {
+      if (((typeof exports !== "object" || exports === null) && typeof exports !== "function") || results.has(exports)) {
+        return results.get(exports) ?? exports
+      }
+      var cls = name === null ? exports : exports[name]
+      if (typeof cls !== "function") {
+        return exports
+      }
+      var censor = new CensorClass(cls, { mode: options.mode, name: name ?? cls.name, implementOn: null, onError: this.onError })
+      var result = exports
+      if (name === null) {
+        result = censor.genFunc()
+      } else {
+        let descriptor = Object.getOwnPropertyDescriptor(exports, name)
+        Object.defineProperty(exports, name, { value: censor.genFunc(), writable: true, enumerable: true, configurable: true })
+        restores.push(() => (descriptor ? Object.defineProperty(exports, name, descriptor) : delete exports[name]))
+      }
+      restores.push(() => censor.restoreAll())
+      results.set(exports, result)
+      setup(censor, exports, module)
+      if (module.format === "builtin") {
+        CensorObject.builtin("module").syncBuiltinESMExports?.()
+      }
+      return result
+    }
+    this.#eager(pattern, apply)
+    return this.#register(pattern, (ctx, module) => apply(ctx.pass(), module), options, restores)
+  }
+
+  /**
+   * Swap in a replacement for matching modules. The real module isn't loaded. For imported ES modules the replacement's properties become the named exports, include `default` for a default export.
+   * @example
+   * censor.modules().replace("node-fetch", { default: (url) => Promise.reject(new Error("Offline: " + url)) })
+   * @param {modulePattern} pattern - The modules it applies to.
+   * @param {*} replacement - The exports to use instead.
+   * @param {handleOptions} [options={}] - The load handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  replace(pattern, replacement, options = {}) {
+    return this.#register(pattern, () => replacement, options)
+  }
+
+  /**
+   * Stop hooking the loader and undo every censor applied through it. Modules that were already imported keep what they got.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+    this.#hook.dispose()
+    censorModuleLoader.instances.delete(this)
+    if (censorModuleLoader.instances.size === 0) {
+      censorModuleLoader.hooks?.deregister()
+      censorModuleLoader.hooks = null
+    }
+  }
+}
+
+/**
+ * Censor modules as they are loaded. See {@link CensorModules}.
+ * @example
+ * // censors.js, loaded with node --import ./censors.js app.js
+ * import { censor } from "censorjs"
+ * import "censorjs/modules"
+ *
+ * censor.modules().censorObject("fs", (censor) => {
+ *   censor.whenCall("readFileSync", (ctx, path) => (String(path).endsWith(".env") ? "" : ctx.pass()))
+ * })
+ * @param {Object} [options] - Options to pass to the CensorModules constructor.
+ * @returns {CensorModules} - The preset.
+ */
+censor.modules = (options) => new CensorModules(options)
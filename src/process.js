@@ -0,0 +1,554 @@
+/**
+ * A Node process preset built on the Censor core. Runs `spawn`, `exec`, `execFile`, `fork` and their sync versions from `child_process` through spawn handles that can allow them, deny them or answer with a scripted fake process, and audits reads of `process.env`.
+ * @module Process
+ * @example
+ * var processes = censor.process({ allow: ["git *", "node *"] })
+ * processes.whenSpawn((ctx, spawn) => {
+ *   if (CensorProcess.matches("git push*", spawn)) { // The command line, so it matches spawn("git", ["push"]) and exec("git push")
+ *     return { stdout: "Everything up-to-date\n", code: 0 } // Fake process
+ *   }
+ *   return ctx.pass()
+ * })
+ * // Later, see what ran and which variables were read
+ * processes.log.filter((entry) => entry.type === "env").map((entry) => entry.key)
+ */
+
+/**
+ * A spawn as seen by a spawn handle. Changes made to it before `ctx.pass()` or passing a modified copy to `ctx.next()` change what is really run.
+ * @typedef {Object} processSpawn
+ * @property {string} api - The function that was called, eg. `spawn`, `exec` or `execFileSync`.
+ * @property {string} command - The command, the whole shell command for `exec` and `execSync`, and the module path for `fork`.
+ * @property {string[]} args - The arguments.
+ * @property {Object} options - The options, like `cwd`, `env` and `shell`.
+ */
+
+/**
+ * A scripted fake process, returned by a spawn handle.
+ * @typedef {Object} processScript
+ * @property {string|Uint8Array} [stdout=""] - What the process writes to stdout.
+ * @property {string|Uint8Array} [stderr=""] - What the process writes to stderr.
+ * @property {number} [code=0] - The exit code.
+ * @property {string} [signal] - Exit through this signal instead of a code.
+ * @property {number} [delay=0] - Milliseconds before the output and exit. Sync functions return at once.
+ * @property {*[]} [messages] - Messages the process sends, for `fork`.
+ * @property {Error} [error] - Fail to start with this error instead.
+ */
+
+/**
+ * A logged spawn or `process.env` access.
+ * @typedef {Object} ProcessLogEntry
+ * @property {string} type - Either `spawn` or `env`.
+ * @property {string} [api] - The spawning function.
+ * @property {string} [command] - The command.
+ * @property {string[]} [args] - The arguments.
+ * @property {string} [outcome] - `passed`, `faked` or `denied`.
+ * @property {string} [action] - The `process.env` access, `get`, `has`, `set` or `delete`.
+ * @property {string} [key] - The environment variable.
+ * @property {string} [stack] - Where the environment variable was accessed from.
+ * @property {number} time - `Date.now()` when it happened.
+ */
+
+/**
+ * What the policy allows or denies. Strings are globs (where `*` matches anything) compared with the command line (the command and the arguments joined by spaces), `RegExp`s are tested against the command line and functions get the {@link processSpawn}.
+ * @typedef {string|RegExp|function(processSpawn):boolean|Array<string|RegExp|function(processSpawn):boolean>} spawnPattern
+ */
+
+/**
+ * Censors `child_process` and audits `process.env`. Create with `censor.process()`.
+ *
+ * Spawns that pass through the handles (or that no handle exists for) are checked against the policy, denied ones fail like a spawn error with `EACCES`. `process.env` is audited through the `env` attribute of `process`, so code that kept a reference to it from before is not seen.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorProcess {
+  /**
+   * The `child_process`, `stream`, `events` and `util` modules in use.
+   * @type {{child_process: Object, stream: Object, events: Object, util: Object}}
+   * @public
+   */
+  modules
+
+  /**
+   * The logged spawns and `process.env` accesses, when logging is on.
+   * @type {ProcessLogEntry[]}
+   * @public
+   */
+  log
+
+  /**
+   * What happens when a spawn handle throws.
+   * @type {errorPolicy}
+   * @public
+   */
+  onError
+  #chain
+  #allow
+  #deny
+  #sink
+  #stack
+  #depth
+  #quiet
+  #nextPid
+  #envs
+  #registrations
+
+  /**
+   * Create the preset and start censoring.
+   * @param {Object} [options={}] - The preset options.
+   * @param {spawnPattern} [options.allow] - Only these commands can really run.
+   * @param {spawnPattern} [options.deny] - These commands can never really run, even if allowed.
+   * @param {boolean|function(ProcessLogEntry):void} [options.log=true] - Log every spawn and `process.env` access into `log`, and pass it to the function if one is given.
+   * @param {boolean} [options.env=true] - Audit `process.env` while logging.
+   * @param {boolean} [options.stack=true] - Record where each `process.env` access came from.
+   * @param {Object} [options.process=globalThis.process] - The `process` object whose `env` is audited.
+   * @param {{child_process: Object, stream: Object, events: Object, util: Object}} [options.modules] - The modules to use, taken with `process.getBuiltinModule` or `require` by default.
+   * @param {errorPolicy} [options.onError="rethrow"] - What happens when a spawn handle throws.
+   */
+  constructor(options = {}) {
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+    this.modules = {}
+    for (const name of ["child_process", "stream", "events", "util"]) {
+      this.modules[name] = options.modules?.[name] ?? CensorObject.builtin(name)
+    }
+    CensorObject.typeCheck(this.modules.child_process, "object")
+    this.#allow = options.allow === undefined ? null : [options.allow].flat()
+    this.#deny = [options.deny ?? []].flat()
+    this.log = []
+    var log = options.log ?? true
+    this.#sink = typeof log === "function" ? log : log ? () => {} : null
+    this.#stack = options.stack ?? true
+    this.#chain = []
+    this.#depth = 0
+    this.#quiet = false
+    this.#nextPid = 90000
+    this.#envs = new WeakMap()
+    this.#registrations = []
+
+    var childProcess = this.modules.child_process
+    var censor = new CensorObject(childProcess)
+    for (const api of ["spawn", "exec", "execFile", "fork", "spawnSync", "execSync", "execFileSync"]) {
+      if (typeof childProcess[api] === "function") {
+        this.#registrations.push(censor.whenCall(api, (ctx, ...args) => this.#call(ctx, api, args)))
+      }
+    }
+    var custom = this.modules.util?.promisify.custom
+    for (const api of ["exec", "execFile"]) {
+      let wrapper = childProcess[api]
+      if (custom && typeof wrapper === "function") {
+        // The original custom promisify would skip the censor
+        Object.defineProperty(wrapper, custom, {
+          configurable: true,
+          value: (...args) => {
+            var child
+            var promise = new Promise((resolve, reject) => {
+              child = wrapper(...args, (error, stdout, stderr) =>
+                error ? reject(Object.assign(error, { stdout, stderr })) : resolve({ stdout, stderr }),
+              )
+            })
+            promise.child = child
+            return promise
+          },
+        })
+      }
+    }
+
+    var target = options.process ?? globalThis.process
+    if ((options.env ?? true) && this.#sink && target) {
+      this.#registrations.push(new CensorObject(target).whenAttr("env", { get: (ctx) => this.#env(ctx.pass()) }))
+    }
+    CensorObject.builtin("module")?.syncBuiltinESMExports?.() // Update named imports of the censored functions
+  }
+
+  /**
+   * The command line of a spawn, the command and arguments joined by spaces.
+   * @param {processSpawn} spawn - The spawn.
+   * @returns {string}
+   */
+  static commandLine(spawn) {
+    return [spawn.command, ...spawn.args].join(" ")
+  }
+
+  /**
+   * Whether a pattern matches a spawn.
+   * @param {string|RegExp|function(processSpawn):boolean} pattern - The pattern.
+   * @param {processSpawn} spawn - The spawn.
+   * @returns {boolean}
+   */
+  static matches(pattern, spawn) {
+    if (typeof pattern === "function") {
+      return Boolean(pattern(spawn))
+    }
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0
+      return pattern.test(CensorProcess.commandLine(spawn))
+    }
+    var glob = new RegExp("^" + pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$", "s")
+    return glob.test(CensorProcess.commandLine(spawn))
+  }
+
+  /**
+   * Whether the policy lets a spawn really run.
+   * @param {processSpawn} spawn - The spawn.
+   * @returns {boolean}
+   */
+  allowed(spawn) {
+    var matches = (pattern) => CensorProcess.matches(pattern, spawn)
+    if (this.#deny.some(matches)) {
+      return false
+    }
+    return this.#allow === null || this.#allow.some(matches)
+  }
+
+  /**
+   * Log a entry, if logging is on. (Not for general use)
+   * @param {Object} entry - The entry, without `time`.
+   */
+  record(entry) {
+    if (!this.#sink || this.#quiet) {
+      return
+    }
+    entry.time = Date.now()
+    this.log.push(entry)
+    this.#quiet = true // The sink may read process.env itself
+    try {
+      this.#sink(entry)
+    } finally {
+      this.#quiet = false
+    }
+  }
+
+  /**
+   * The auditing proxy of a `process.env` object.
+   * @param {Object} env - The real `process.env`.
+   * @returns {Object} - The proxy, the same one for the same object.
+   * @private
+   */
+  #env(env) {
+    if (typeof env !== "object" || env === null) {
+      return env
+    }
+    if (!this.#envs.has(env)) {
+      let audit = (action, key) => {
+        if (typeof key === "string" && this.#depth === 0 && !this.#quiet) {
+          let entry = { type: "env", action, key }
+          if (this.#stack) {
+            entry.stack = new Error().stack?.replace(/^Error\n/, "")
+          }
+          this.record(entry)
+        }
+      }
+      this.#envs.set(
+        env,
+        new Proxy(env, {
+          get: (target, key) => {
+            audit("get", key)
+            return Reflect.get(target, key)
+          },
+          has: (target, key) => {
+            audit("has", key)
+            return Reflect.has(target, key)
+          },
+          set: (target, key, value) => {
+            audit("set", key)
+            return Reflect.set(target, key, value)
+          },
+          deleteProperty: (target, key) => {
+            audit("delete", key)
+            return Reflect.deleteProperty(target, key)
+          },
+        }),
+      )
+    }
+    return this.#envs.get(env)
+  }
+
+  /**
+   * Turn the arguments of a spawning function into a spawn and a callback.
+   * @param {string} api - The spawning function.
+   * @param {*[]} args - The call arguments.
+   * @returns {{spawn: processSpawn, callback: (function(...*):void|undefined)}}
+   * @private
+   */
+  static #parse(api, args) {
+    args = [...args]
+    var callback = ["exec", "execFile"].includes(api) && typeof args.at(-1) === "function" ? args.pop() : undefined
+    var command = String(args.shift())
+    var list = ["exec", "execSync"].includes(api) || !Array.isArray(args[0]) ? [] : args.shift().map(String)
+    var options = { ...(typeof args[0] === "object" ? args[0] : {}) }
+    return { spawn: { api, command, args: list, options }, callback }
+  }
+
+  /**
+   * Turn a spawn back into arguments for its spawning function.
+   * @param {processSpawn} spawn - The spawn.
+   * @param {function(...*):void} [callback] - The callback of `exec` and `execFile`.
+   * @returns {*[]}
+   * @private
+   */
+  static #unparse(spawn, callback) {
+    var args = ["exec", "execSync"].includes(spawn.api) ? [spawn.command, spawn.options] : [spawn.command, spawn.args, spawn.options]
+    return callback ? [...args, callback] : args
+  }
+
+  /**
+   * The error a denied spawn fails with, like the one for a missing command.
+   * @param {processSpawn} spawn - The spawn.
+   * @returns {Error}
+   * @private
+   */
+  static #deniedError(spawn) {
+    var error = new Error("spawn " + spawn.command + " EACCES")
+    return Object.assign(error, {
+      errno: -13,
+      code: "EACCES",
+      syscall: "spawn " + spawn.command,
+      path: spawn.command,
+      spawnargs: spawn.args,
+    })
+  }
+
+  /**
+   * The handle of every censored function. Runs the spawn through the handles, then returns the real or a fake process.
+   * @param {CensorContext} ctx - The call context.
+   * @param {string} api - The spawning function.
+   * @param {*[]} args - The call arguments.
+   * @returns {*} - What the spawning function returns.
+   * @private
+   */
+  #call(ctx, api, args) {
+    if (this.#depth > 0 || (this.#chain.length === 0 && this.#allow === null && this.#deny.length === 0 && !this.#sink)) {
+      return ctx.pass() // Nested, like exec calling execFile, or nothing to do
+    }
+    var { spawn, callback } = CensorProcess.#parse(api, args)
+    var passed = false
+    var real
+    var result = CensorObject.runChain(this, "spawn", this.#chain, [spawn], (spawn) => {
+      if (!this.allowed(spawn)) {
+        return undefined
+      }
+      this.#depth += 1
+      try {
+        real = ctx.next(...CensorProcess.#unparse(spawn, callback))
+      } finally {
+        this.#depth -= 1
+      }
+      passed = true
+      return real
+    })
+
+    var entry = { type: "spawn", api, command: spawn.command, args: spawn.args }
+    if (passed && result === real) {
+      this.record({ ...entry, outcome: "passed" })
+      return real
+    }
+    var script = typeof result === "object" && result !== null ? result : { error: CensorProcess.#deniedError(spawn) }
+    this.record({ ...entry, outcome: script.error ? "denied" : "faked" })
+    return api.endsWith("Sync") ? this.#fakeSync(spawn, script) : this.#fake(spawn, script, callback)
+  }
+
+  /**
+   * Convert process output into what the caller asked for.
+   * @param {string|Uint8Array} [output] - The output.
+   * @param {string} [encoding] - The `encoding` option, `"buffer"` or missing for a `Buffer`.
+   * @returns {string|Buffer}
+   * @private
+   */
+  static #output(output, encoding) {
+    var buffer = typeof output === "string" ? Buffer.from(output) : Buffer.from(output ?? [])
+    return encoding && encoding !== "buffer" ? buffer.toString(encoding) : buffer
+  }
+
+  /**
+   * The error `exec` and the sync functions fail with when a process exits unsuccessfully.
+   * @param {processSpawn} spawn - The spawn.
+   * @param {string|Buffer} stderr - The error output.
+   * @returns {Error}
+   * @private
+   */
+  static #failedError(spawn, stderr) {
+    return new Error("Command failed: " + CensorProcess.commandLine(spawn) + "\n" + stderr)
+  }
+
+  /**
+   * Create a fake `ChildProcess` that plays a script.
+   * @param {processSpawn} spawn - The spawn.
+   * @param {processScript} script - The script.
+   * @param {function(...*):void} [callback] - The callback of `exec` and `execFile`.
+   * @returns {EventEmitter} - The fake process.
+   * @private
+   */
+  #fake(spawn, script, callback) {
+    var { Readable, Writable } = this.modules.stream
+    var child = new this.modules.events.EventEmitter()
+    var stdout = new Readable({ read: () => {} })
+    var stderr = new Readable({ read: () => {} })
+    var stdin = new Writable({ write: (chunk, encoding, done) => done() })
+    var timer
+    var exit = (code, signal) => {
+      clearTimeout(timer)
+      child.exitCode = code
+      child.signalCode = signal
+      child.connected = false
+      stdout.push(null)
+      stderr.push(null)
+      child.emit("exit", code, signal)
+      setTimeout(() => child.emit("close", code, signal)) // After the output was read
+    }
+    Object.assign(child, {
+      pid: this.#nextPid++,
+      stdin,
+      stdout,
+      stderr,
+      stdio: [stdin, stdout, stderr],
+      exitCode: null,
+      signalCode: null,
+      killed: false,
+      connected: spawn.api === "fork",
+      spawnfile: spawn.command,
+      spawnargs: [spawn.command, ...spawn.args],
+      kill: (signal = "SIGTERM") => {
+        if (child.exitCode !== null || child.signalCode !== null) {
+          return false
+        }
+        child.killed = true
+        exit(null, signal)
+        return true
+      },
+      send: (message, ...rest) => {
+        queueMicrotask(() => rest.find((item) => typeof item === "function")?.(null))
+        return child.connected
+      },
+      disconnect: () => {
+        child.connected = false
+        child.emit("disconnect")
+      },
+      ref: () => {},
+      unref: () => {},
+    })
+
+    if (callback) {
+      let encoding = spawn.options.encoding ?? "utf8"
+      let out = CensorProcess.#output(script.stdout, encoding)
+      let err = CensorProcess.#output(script.stderr, encoding)
+      let done = false
+      let finish = (error) => {
+        if (!done) {
+          done = true
+          callback(error, error?.code === "EACCES" ? "" : out, error?.code === "EACCES" ? "" : err)
+        }
+      }
+      child.once("error", finish)
+      child.once("close", (code, signal) => {
+        var failed = code !== 0 ? CensorProcess.#failedError(spawn, err) : null
+        finish(failed && Object.assign(failed, { code, killed: child.killed, signal, cmd: CensorProcess.commandLine(spawn) }))
+      })
+    }
+
+    if (script.error) {
+      setTimeout(() => {
+        child.emit("error", script.error)
+        exit(script.error.errno ?? 1, null)
+      })
+      return child
+    }
+    queueMicrotask(() => child.emit("spawn"))
+    timer = setTimeout(() => {
+      for (const [stream, output] of [
+        [stdout, script.stdout],
+        [stderr, script.stderr],
+      ]) {
+        if (output !== undefined && output.length > 0) {
+          stream.push(CensorProcess.#output(output))
+        }
+      }
+      for (const message of script.messages ?? []) {
+        child.emit("message", message)
+      }
+      exit(script.signal ? null : (script.code ?? 0), script.signal ?? null)
+    }, script.delay ?? 0)
+    return child
+  }
+
+  /**
+   * Play a script for a sync spawning function.
+   * @param {processSpawn} spawn - The spawn.
+   * @param {processScript} script - The script.
+   * @returns {*} - What the sync function returns, or throws.
+   * @private
+   */
+  #fakeSync(spawn, script) {
+    var encoding = spawn.options.encoding
+    var stdout = CensorProcess.#output(script.error ? "" : script.stdout, encoding)
+    var stderr = CensorProcess.#output(script.error ? "" : script.stderr, encoding)
+    var status = script.error || script.signal ? null : (script.code ?? 0)
+    var result = {
+      pid: script.error ? 0 : this.#nextPid++,
+      output: [null, stdout, stderr],
+      stdout,
+      stderr,
+      status,
+      signal: script.signal ?? null,
+    }
+    if (script.error) {
+      result.error = script.error
+    }
+    if (spawn.api === "spawnSync") {
+      return result
+    }
+    if (script.error) {
+      throw script.error
+    }
+    if (status !== 0) {
+      throw Object.assign(CensorProcess.#failedError(spawn, stderr), result)
+    }
+    return stdout
+  }
+
+  /**
+   * Register a spawn handle. The handle gets the context and the {@link processSpawn}. Returning `ctx.pass()` runs the real process (if the policy allows it), returning a {@link processScript} runs a fake process instead, and returning nothing denies it like a spawn error.
+   * @example
+   * censor.process().whenSpawn((ctx, spawn) => {
+   *   spawn.options.env = { ...spawn.options.env, CI: "1" }
+   *   return ctx.pass()
+   * })
+   * @param {function(CensorContext, processSpawn):*} handle - The spawn handle.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenSpawn(handle, options = {}) {
+    CensorObject.typeCheck(handle, "function")
+    var entry = CensorObject.insertHandle(this.#chain, handle, options)
+    return new CensorRegistration(this, () => {
+      var index = this.#chain.indexOf(entry)
+      if (index !== -1) {
+        this.#chain.splice(index, 1)
+      }
+    })
+  }
+
+  /**
+   * Stop censoring and put the original functions and `process.env` back. The log is kept.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+    this.#chain = []
+    CensorObject.builtin("module")?.syncBuiltinESMExports?.()
+  }
+}
+
+/**
+ * Censor `child_process` and audit `process.env`. See {@link CensorProcess}.
+ * @example
+ * // Which processes do the dependencies start?
+ * var processes = censor.process({ deny: "*" })
+ * await import("some-dependency")
+ * console.table(processes.log.filter((entry) => entry.type === "spawn"))
+ * @param {Object} [options] - Options to pass to the CensorProcess constructor.
+ * @returns {CensorProcess} - The preset.
+ */
+censor.process = (options) => new CensorProcess(options)
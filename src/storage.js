@@ -0,0 +1,434 @@
+/**
+ * Storage and cookie censoring built on the Censor core. Puts `localStorage`, `sessionStorage` and `document.cookie` behind one set of key rules, with logging, namespacing and a in-memory backend.
+ * @module Storage
+ * @example
+ * var storage = censor.storage({ deny: ["_ga*", /^ajs_/], namespace: "test:", log: true })
+ * localStorage.setItem("_ga", "1") // Dropped
+ * localStorage.setItem("user", "ada") // Stored as "test:user"
+ * console.log(storage.log)
+ */
+
+/**
+ * Which keys a rule applies to. A string is a glob where `*` matches anything.
+ * @typedef {string|RegExp|function(string, string, string):boolean|Array<string|RegExp|function(string, string, string):boolean>} storagePattern
+ */
+
+/**
+ * A logged storage access.
+ * @typedef {Object} StorageLogEntry
+ * @property {string} area - Either `localStorage`, `sessionStorage` or `cookie`.
+ * @property {string} action - One of `get`, `set`, `remove` or `clear`.
+ * @property {string|null} key - The key or cookie name, as the page sees it.
+ * @property {string|null} [value] - The value read or written.
+ * @property {boolean} blocked - Whether a rule blocked the access.
+ * @property {number} time - `Date.now()` of the access.
+ */
+
+/**
+ * A `Storage` look-alike that applies the rules of a {@link CensorStorage} on top of a backend. Returned in place of `localStorage` and `sessionStorage`, wrapped in a `Proxy` so `storage.key` and `storage[key]` work as well.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorStorageArea {
+  /**
+   * Either `localStorage` or `sessionStorage`.
+   * @type {string}
+   * @public
+   */
+  area
+  #parent
+  #backend
+
+  /**
+   * Should only be called by CensorStorage.
+   * @param {CensorStorage} parent - The storage censor.
+   * @param {string} area - Either `localStorage` or `sessionStorage`.
+   * @param {Storage|Map<string, string>} backend - The native storage, or the in-memory map.
+   */
+  constructor(parent, area, backend) {
+    this.area = area
+    this.#parent = parent
+    this.#backend = backend
+  }
+
+  /**
+   * The backend keys the page can see, by the key the page sees.
+   * @returns {Map<string, string>} - Backend keys by visible key.
+   * @private
+   */
+  #visible() {
+    var keys
+    if (this.#backend instanceof Map) {
+      keys = [...this.#backend.keys()]
+    } else {
+      keys = Array.from({ length: this.#backend.length }, (_, index) => this.#backend.key(index))
+    }
+    var visible = new Map()
+    for (const stored of keys) {
+      let key = this.#parent.unprefix(stored)
+      if (key !== null && this.#parent.allowed(this.area, "get", key)) {
+        visible.set(key, stored)
+      }
+    }
+    return visible
+  }
+
+  get length() {
+    return this.#visible().size
+  }
+
+  key(index) {
+    return [...this.#visible().keys()][index] ?? null
+  }
+
+  getItem(key) {
+    key = String(key)
+    var allowed = this.#parent.allowed(this.area, "get", key)
+    var value = null
+    if (allowed) {
+      let stored = this.#parent.namespace + key
+      value = this.#backend instanceof Map ? this.#backend.get(stored) ?? null : this.#backend.getItem(stored)
+    }
+    this.#parent.record({ area: this.area, action: "get", key, value, blocked: !allowed })
+    return value
+  }
+
+  setItem(key, value) {
+    key = String(key)
+    value = String(value)
+    var allowed = this.#parent.allowed(this.area, "set", key)
+    this.#parent.record({ area: this.area, action: "set", key, value, blocked: !allowed })
+    if (!allowed) {
+      return
+    }
+    var stored = this.#parent.namespace + key
+    if (this.#backend instanceof Map) {
+      this.#backend.set(stored, value)
+    } else {
+      this.#backend.setItem(stored, value)
+    }
+  }
+
+  removeItem(key) {
+    key = String(key)
+    var allowed = this.#parent.allowed(this.area, "remove", key)
+    this.#parent.record({ area: this.area, action: "remove", key, blocked: !allowed })
+    if (!allowed) {
+      return
+    }
+    var stored = this.#parent.namespace + key
+    if (this.#backend instanceof Map) {
+      this.#backend.delete(stored)
+    } else {
+      this.#backend.removeItem(stored)
+    }
+  }
+
+  /**
+   * Remove every key the page can see and is allowed to remove. Keys outside the namespace are kept.
+   */
+  clear() {
+    this.#parent.record({ area: this.area, action: "clear", key: null, blocked: false })
+    for (const [key, stored] of this.#visible()) {
+      if (!this.#parent.allowed(this.area, "remove", key)) {
+        continue
+      }
+      if (this.#backend instanceof Map) {
+        this.#backend.delete(stored)
+      } else {
+        this.#backend.removeItem(stored)
+      }
+    }
+  }
+
+  /**
+   * Wrap a area in a `Proxy` that maps named properties to items, like a native `Storage`.
+   * @param {CensorStorageArea} area - The area to wrap.
+   * @param {Object|null} prototype - The prototype to report, usually `Storage.prototype`.
+   * @returns {Storage} - The wrapped area.
+   */
+  static wrap(area, prototype) {
+    var methods = new Set(["length", "key", "getItem", "setItem", "removeItem", "clear"])
+    var isItem = (key) => typeof key === "string" && !methods.has(key) && !(prototype && key in prototype)
+    return new Proxy(Object.create(prototype), {
+      get(target, key) {
+        if (methods.has(key)) {
+          let value = area[key]
+          return typeof value === "function" ? value.bind(area) : value
+        }
+        if (isItem(key)) {
+          return area.getItem(key) ?? undefined
+        }
+        return Reflect.get(target, key)
+      },
+      set(target, key, value) {
+        if (isItem(key)) {
+          area.setItem(key, value)
+          return true
+        }
+        return Reflect.set(target, key, value)
+      },
+      has(target, key) {
+        return isItem(key) ? area.getItem(key) !== null : key in target
+      },
+      deleteProperty(target, key) {
+        if (isItem(key)) {
+          area.removeItem(key)
+        }
+        return true
+      },
+      ownKeys() {
+        return Array.from({ length: area.length }, (_, index) => area.key(index))
+      },
+      getOwnPropertyDescriptor(target, key) {
+        var value = isItem(key) ? area.getItem(key) : null
+        if (value === null) {
+          return undefined
+        }
+        return { value, writable: true, enumerable: true, configurable: true }
+      },
+    })
+  }
+}
+
+/**
+ * Censors `localStorage`, `sessionStorage` and `document.cookie` with shared rules. Create with `censor.storage()`.
+ *
+ * Blocked reads return `null` (or leave the cookie out), blocked writes and removals are dropped, and blocked keys are hidden from `key()`, `length` and enumeration.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorStorage {
+  /**
+   * The prefix added to every key and cookie name, so the page only sees its own partition.
+   * @type {string}
+   * @public
+   */
+  namespace
+
+  /**
+   * The logged accesses, when logging is on.
+   * @type {StorageLogEntry[]}
+   * @public
+   */
+  log
+
+  /**
+   * The in-memory backends by area, when the memory backend is used. Seed or inspect them directly, cookies are kept by name.
+   * @type {{localStorage: Map<string, string>, sessionStorage: Map<string, string>, cookie: Map<string, string>}|null}
+   * @public
+   */
+  memory
+  #allow
+  #deny
+  #sink
+  #areas
+  #registrations
+
+  /**
+   * Create a storage censor and start censoring.
+   * @param {Object} [options={}] - The storage options.
+   * @param {string[]} [options.areas=["localStorage", "sessionStorage", "cookie"]] - What to censor. Areas the target doesn't have, like `cookie` in a worker, are skipped. With the memory backend the storages are added to the target if missing.
+   * @param {storagePattern} [options.allow] - Only these keys are accessible. Functions get the key, area and action.
+   * @param {storagePattern} [options.deny] - These keys are never accessible, even if allowed.
+   * @param {boolean|function(StorageLogEntry):void} [options.log=false] - Log every access into `log`, and pass it to the function if one is given.
+   * @param {string} [options.namespace=""] - Prefix added to every key and cookie name.
+   * @param {string} [options.backend="native"] - `"native"` uses the real storage, `"memory"` keeps everything in `memory` and never touches it.
+   * @param {Object} [options.target=globalThis] - The global object the storages and `document` are taken from.
+   */
+  constructor(options = {}) {
+    var target = options.target ?? globalThis
+    this.namespace = options.namespace ?? ""
+    this.log = []
+    this.#sink = typeof options.log === "function" ? options.log : options.log ? () => {} : null
+    this.#allow = options.allow === undefined ? null : [options.allow].flat()
+    this.#deny = [options.deny ?? []].flat()
+    this.memory = null
+    if (options.backend === "memory") {
+      this.memory = { localStorage: new Map(), sessionStorage: new Map(), cookie: new Map() }
+    } else if ((options.backend ?? "native") !== "native") {
+      throw new TypeError("Got backend " + options.backend + " expected native or memory")
+    }
+    this.#areas = new WeakMap()
+    this.#registrations = []
+
+    var areas = options.areas ?? ["localStorage", "sessionStorage", "cookie"]
+    var win = new CensorObject(target)
+    for (const area of areas.filter((area) => area === "localStorage" || area === "sessionStorage")) {
+      if (this.memory || area in target) {
+        this.#registrations.push(win.whenAttr(area, { get: (ctx) => this.#area(ctx, area) }))
+      } // Skip storages the host doesn't have, unless the memory backend stands in for them
+    }
+    if (areas.includes("cookie") && target.document) {
+      this.#registrations.push(
+        new CensorObject(target.document).whenAttr("cookie", {
+          get: (ctx) => this.#getCookie(ctx),
+          set: (ctx, cookie) => this.#setCookie(ctx, cookie),
+        }),
+      )
+    }
+  }
+
+  /**
+   * Whether a pattern matches a key.
+   * @param {storagePattern} pattern - The pattern.
+   * @param {string} key - The key as the page sees it.
+   * @param {string} area - The area.
+   * @param {string} action - The action.
+   * @returns {boolean}
+   */
+  static matches(pattern, key, area, action) {
+    if (typeof pattern === "function") {
+      return Boolean(pattern(key, area, action))
+    }
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0
+      return pattern.test(key)
+    }
+    return new RegExp("^" + pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$").test(key)
+  }
+
+  /**
+   * Whether the rules allow a access. (Not for general use)
+   * @param {string} area - The area.
+   * @param {string} action - The action.
+   * @param {string} key - The key as the page sees it.
+   * @returns {boolean}
+   */
+  allowed(area, action, key) {
+    var matches = (pattern) => CensorStorage.matches(pattern, key, area, action)
+    if (this.#deny.some(matches)) {
+      return false
+    }
+    return this.#allow === null || this.#allow.some(matches)
+  }
+
+  /**
+   * The key the page sees for a stored key, or `null` if it is outside the namespace. (Not for general use)
+   * @param {string} stored - The stored key.
+   * @returns {string|null}
+   */
+  unprefix(stored) {
+    return stored.startsWith(this.namespace) ? stored.slice(this.namespace.length) : null
+  }
+
+  /**
+   * Log a access, if logging is on. (Not for general use)
+   * @param {Object} entry - The entry, without `time`.
+   */
+  record(entry) {
+    if (!this.#sink) {
+      return
+    }
+    entry.time = Date.now()
+    this.log.push(entry)
+    this.#sink(entry)
+  }
+
+  /**
+   * The get handle of `localStorage` and `sessionStorage`, returns the wrapped area.
+   * @param {CensorContext} ctx - The get context.
+   * @param {string} area - Either `localStorage` or `sessionStorage`.
+   * @returns {Storage} - The wrapped area.
+   * @private
+   */
+  #area(ctx, area) {
+    var backend = this.memory?.[area] ?? ctx.pass()
+    if (!this.#areas.has(backend)) {
+      let prototype = typeof Storage === "function" ? Storage.prototype : Object.prototype
+      this.#areas.set(backend, CensorStorageArea.wrap(new CensorStorageArea(this, area, backend), prototype))
+    }
+    return this.#areas.get(backend)
+  }
+
+  /**
+   * The get handle of `document.cookie`.
+   * @param {CensorContext} ctx - The get context.
+   * @returns {string} - The visible cookies.
+   * @private
+   */
+  #getCookie(ctx) {
+    var pairs
+    if (this.memory) {
+      pairs = [...this.memory.cookie]
+    } else {
+      pairs = String(ctx.pass())
+        .split(";")
+        .filter((pair) => pair.trim() !== "")
+        .map((pair) => {
+          let index = pair.indexOf("=")
+          return index === -1 ? ["", pair.trim()] : [pair.slice(0, index).trim(), pair.slice(index + 1).trim()]
+        })
+    }
+    var visible = []
+    for (const [stored, value] of pairs) {
+      let name = this.unprefix(stored)
+      if (name === null) {
+        continue
+      }
+      let allowed = this.allowed("cookie", "get", name)
+      this.record({ area: "cookie", action: "get", key: name, value, blocked: !allowed })
+      if (allowed) {
+        visible.push(name === "" ? value : name + "=" + value)
+      }
+    }
+    return visible.join("; ")
+  }
+
+  /**
+   * The set handle of `document.cookie`.
+   * @param {CensorContext} ctx - The set context.
+   * @param {string} cookie - The cookie string.
+   * @private
+   */
+  #setCookie(ctx, cookie) {
+    var [pair, ...attributes] = String(cookie).split(";")
+    var index = pair.indexOf("=")
+    var name = index === -1 ? "" : pair.slice(0, index).trim()
+    var value = index === -1 ? pair.trim() : pair.slice(index + 1).trim()
+    var expired = attributes.some((attribute) => {
+      var [key, setting = ""] = attribute.split("=").map((part) => part.trim())
+      key = key.toLowerCase()
+      return (key === "max-age" && Number(setting) <= 0) || (key === "expires" && Date.parse(setting) <= Date.now())
+    })
+    var action = expired ? "remove" : "set"
+    var allowed = this.allowed("cookie", action, name)
+    this.record({ area: "cookie", action, key: name, value, blocked: !allowed })
+    if (!allowed) {
+      return
+    }
+    var stored = this.namespace + name
+    if (this.memory) {
+      if (expired) {
+        this.memory.cookie.delete(stored)
+      } else {
+        this.memory.cookie.set(stored, value)
+      }
+      return
+    }
+    ctx.next([(stored === "" ? "" : stored + "=") + value, ...attributes].join(";"))
+  }
+
+  /**
+   * Stop censoring. Wrapped storages that were already handed out keep applying the rules.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+  }
+}
+
+/**
+ * Start censoring storage and cookies. See {@link CensorStorage}.
+ * @example
+ * // Isolated storage for a test, nothing reaches the real storage
+ * var storage = censor.storage({ backend: "memory" })
+ * storage.memory.localStorage.set("token", "test")
+ * @param {Object} [options] - Options to pass to the CensorStorage constructor.
+ * @returns {CensorStorage} - The storage censor.
+ */
+censor.storage = (options) => new CensorStorage(options)
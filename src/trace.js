@@ -0,0 +1,307 @@
+/**
+ * Call tracing built on the Censor core. Records every intercepted call, get, set and event of a object into a bounded log that can be exported as JSON.
+ * @module Trace
+ * @example
+ * var trace = censor.trace(window, { calls: ["fetch", "setTimeout"], attrs: ["name"], events: ["message"] })
+ * // Let a third party script run
+ * console.log(trace.export(2))
+ */
+
+/**
+ * A single recorded interception.
+ * @typedef {Object} TraceEntry
+ * @property {number} id - Increasing number of the entry.
+ * @property {string} type - One of `call`, `get`, `set` or `event`.
+ * @property {string} name - The name of the function, attribute or event.
+ * @property {*[]} args - The arguments that were passed.
+ * @property {*} [result] - The return value, or the resolved value of a promise.
+ * @property {*} [error] - The thrown error, or the rejection reason of a promise.
+ * @property {boolean} async - Whether the result was a thenable.
+ * @property {boolean} pending - Whether a thenable result has not settled yet.
+ * @property {number} start - `Date.now()` when it was intercepted.
+ * @property {number} [end] - `Date.now()` when it returned or settled.
+ * @property {number} [duration] - The time it took in milliseconds, with sub-millisecond precision.
+ */
+
+/**
+ * What to trace. A string, `RegExp` or array is the same as only passing `calls`.
+ * @typedef {Object} traceNames
+ * @property {string|RegExp|Array<string|RegExp>} [calls] - Functions to trace, accepts the same patterns as {@link CensorObject#whenCall}. When tracing a {@link CensorProxy}, patterns are matched once against the functions the proxied object has when the trace is created.
+ * @property {string[]} [attrs] - Attributes to trace the gets and sets of.
+ * @property {string[]} [events] - Events to trace.
+ */
+
+/**
+ * Records interceptions on a object into a ring buffer, keeping only the newest `limit` entries. Create with `censor.trace()`.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorTrace {
+  /**
+   * The censor the trace handles are registered through.
+   * @type {CensorObject|CensorProxy}
+   * @public
+   */
+  censor
+
+  /**
+   * The maximum number of entries that are kept.
+   * @type {number}
+   * @public
+   */
+  limit
+
+  /**
+   * How many entries were dropped to stay within `limit`.
+   * @type {number}
+   * @public
+   */
+  dropped
+  #buffer
+  #start
+  #size
+  #nextId
+  #registrations
+
+  /**
+   * Create a trace and start recording.
+   * @param {Object|CensorObject|CensorProxy} target - The object to trace, or a existing censor of it.
+   * @param {traceNames|string|RegExp|Array<string|RegExp>} [names="*"] - What to trace, every function by default.
+   * @param {Object} [options={}] - The trace options.
+   * @param {number} [options.limit=1000] - The maximum number of entries that are kept.
+   * @param {number} [options.priority=Infinity] - The priority of the trace handles, by default they record what the caller passed before any other handle runs.
+   */
+  constructor(target, names = "*", options = {}) {
+    if (target instanceof CensorObject || target instanceof CensorProxy) {
+      this.censor = target
+    } else {
+      CensorObject.typeCheck(target, "object")
+      this.censor = new CensorObject(target)
+    }
+    if (typeof names === "string" || names instanceof RegExp || Array.isArray(names)) {
+      names = { calls: names }
+    }
+    this.limit = options.limit ?? 1000
+    this.dropped = 0
+    this.#buffer = new Array(this.limit)
+    this.#start = 0
+    this.#size = 0
+    this.#nextId = 0
+
+    var handleOptions = { priority: options.priority ?? Infinity }
+    this.#registrations = []
+    if (this.censor instanceof CensorProxy && names.calls !== undefined) {
+      for (const name of CensorObject.matchMethods(this.censor.object, [names.calls].flat())) {
+        this.#registrations.push(this.censor.whenCall(name, (ctx) => this.#record("call", ctx), handleOptions))
+      } // Proxies only take exact names
+    } else if (names.calls !== undefined) {
+      this.#registrations.push(
+        this.censor.whenCall(names.calls, (ctx) => this.#record("call", ctx), handleOptions),
+      )
+    }
+    for (const name of names.attrs ?? []) {
+      this.#registrations.push(
+        this.censor.whenAttr(
+          name,
+          { get: (ctx) => this.#record("get", ctx), set: (ctx) => this.#record("set", ctx) },
+          handleOptions,
+        ),
+      )
+    }
+    for (const event of names.events ?? []) {
+      this.#registrations.push(this.censor.on(event, (ctx) => this.#record("event", ctx), handleOptions))
+    }
+  }
+
+  /**
+   * Add a entry, overwriting the oldest one once the buffer is full.
+   * @param {TraceEntry} entry - The entry to add.
+   * @private
+   */
+  #push(entry) {
+    this.#buffer[(this.#start + this.#size) % this.limit] = entry
+    if (this.#size < this.limit) {
+      this.#size += 1
+    } else {
+      this.#start = (this.#start + 1) % this.limit
+      this.dropped += 1
+    }
+  }
+
+  /**
+   * Record a interception and pass it on, filling in the result once it returns or settles.
+   * @param {string} type - The type of interception.
+   * @param {CensorContext} ctx - The context of the trace handle.
+   * @returns {*} - The result of `ctx.pass()`.
+   * @private
+   */
+  #record(type, ctx) {
+    var began = performance.now()
+    var entry = {
+      id: this.#nextId++,
+      type,
+      name: ctx.name,
+      args: [...ctx.args],
+      async: false,
+      pending: false,
+      start: Date.now(),
+    }
+    if (this.limit > 0) {
+      this.#push(entry)
+    }
+    var finish = (key, value) => {
+      entry[key] = value
+      entry.pending = false
+      entry.end = Date.now()
+      entry.duration = performance.now() - began
+    }
+
+    var result
+    try {
+      result = ctx.pass()
+    } catch (error) {
+      finish("error", error)
+      throw error
+    }
+    if (typeof result?.then !== "function") {
+      finish("result", result)
+      return result
+    }
+    entry.async = true
+    entry.pending = true
+    var onResolve = (value) => {
+      finish("result", value)
+      return value
+    }
+    var onReject = (error) => {
+      finish("error", error)
+      throw error
+    }
+    if (result instanceof Promise) {
+      return result.then(onResolve, onReject)
+    }
+    result.then(onResolve, () => {}) // Other thenables are returned as they are, so they keep their own methods
+    return result
+  }
+
+  /**
+   * The recorded entries, oldest first.
+   * @type {TraceEntry[]}
+   * @public
+   */
+  get entries() {
+    return Array.from({ length: this.#size }, (_, index) => this.#buffer[(this.#start + index) % this.limit])
+  }
+
+  /**
+   * Remove every recorded entry.
+   * @returns {CensorTrace} - Returns self for chaining.
+   */
+  clear() {
+    this.#buffer = new Array(this.limit)
+    this.#start = 0
+    this.#size = 0
+    this.dropped = 0
+    return this
+  }
+
+  /**
+   * Stop recording by removing the trace handles. Recorded entries are kept.
+   */
+  dispose() {
+    for (const registration of this.#registrations) {
+      registration.dispose()
+    }
+    this.#registrations = []
+  }
+
+  /**
+   * Convert a recorded value into something JSON can represent. Functions, symbols, bigints and `undefined` become descriptive strings, errors and events keep their useful properties, and circular or too deeply nested objects are cut short.
+   * @param {*} value - The value to convert.
+   * @param {number} [depth=4] - How many levels of objects to include.
+   * @param {WeakSet<Object>} [seen] - The objects currently being converted, to detect cycles.
+   * @returns {*} - The JSON safe value.
+   */
+  static serialize(value, depth = 4, seen = new WeakSet()) {
+    switch (typeof value) {
+      case "undefined":
+        return "[undefined]"
+      case "function":
+        return "[Function " + (value.name || "anonymous") + "]"
+      case "symbol":
+        return value.toString()
+      case "bigint":
+        return value.toString() + "n"
+      case "number":
+        return Number.isFinite(value) ? value : String(value)
+      case "string":
+      case "boolean":
+        return value
+    }
+    if (value === null) {
+      return null
+    }
+    if (seen.has(value)) {
+      return "[Circular]"
+    }
+    var type = value.constructor?.name ?? "Object"
+    if (value instanceof Error) {
+      return { $type: type, name: value.name, message: value.message, stack: value.stack }
+    }
+    if (typeof Event !== "undefined" && value instanceof Event) {
+      return { $type: type, type: value.type }
+    }
+    if (typeof value.toJSON === "function") {
+      return value.toJSON()
+    }
+    if (depth <= 0) {
+      return "[" + type + "]"
+    }
+
+    seen.add(value)
+    var output
+    if (Array.isArray(value)) {
+      output = value.map((item) => CensorTrace.serialize(item, depth - 1, seen))
+    } else {
+      output = type === "Object" ? {} : { $type: type }
+      for (const [key, item] of Object.entries(value)) {
+        output[key] = CensorTrace.serialize(item, depth - 1, seen)
+      }
+    }
+    seen.delete(value) // Only ancestors count as cycles, repeated references are fine
+    return output
+  }
+
+  /**
+   * The trace as a JSON safe object, used by `JSON.stringify`.
+   * @returns {Object} - The limit, the number of dropped entries and the serialized entries.
+   */
+  toJSON() {
+    return {
+      limit: this.limit,
+      dropped: this.dropped,
+      entries: this.entries.map((entry) => CensorTrace.serialize(entry)),
+    }
+  }
+
+  /**
+   * Export the trace as a JSON string.
+   * @param {number|string} [space] - Indentation, passed to `JSON.stringify`.
+   * @returns {string} - The JSON log.
+   */
+  export(space) {
+    return JSON.stringify(this, null, space)
+  }
+}
+
+/**
+ * Start tracing a object. See {@link CensorTrace}.
+ * @example
+ * var trace = censor.trace(localStorage, /Item$/)
+ * @param {Object|CensorObject|CensorProxy} target - The object to trace, or a existing censor of it.
+ * @param {traceNames|string|RegExp|Array<string|RegExp>} [names="*"] - What to trace, every function by default.
+ * @param {Object} [options] - Options to pass to the CensorTrace constructor.
+ * @returns {CensorTrace} - The recording trace.
+ */
+censor.trace = (target, names, options) => new CensorTrace(target, names, options)
@@ -0,0 +1,544 @@
+/**
+ * Message level `WebSocket` interception built on {@link CensorClass}. Filters and rewrites frames in both directions, injects messages, simulates closes and errors, and can answer sockets with a in-page fake server instead of the network.
+ * @module WebSocket
+ * @example
+ * var sockets = censor.websocket()
+ * sockets.whenMessage((ctx, data) => (data.includes("ad") ? undefined : ctx.pass())) // Drop incoming frames
+ * sockets.server("wss://chat.example.com/*", (connection) => {
+ *   connection.addEventListener("message", (event) => connection.send("echo: " + event.data))
+ * })
+ */
+
+/**
+ * A socket answered by a fake server. It inherits from `WebSocket.prototype`, so `instanceof WebSocket` and the state constants work, but never touches the network.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorFakeSocket extends EventTarget {
+  #url
+  #protocol
+  #readyState
+  #binaryType
+  #handlers
+  #send
+
+  /**
+   * Should only be called by CensorWebSocket.
+   * @param {string} url - The socket url.
+   * @param {string} protocol - The protocol the server picked.
+   * @param {function(*):void} send - Sends a frame to the server, after the outgoing handles.
+   */
+  constructor(url, protocol, send) {
+    super()
+    this.#url = url
+    this.#protocol = protocol
+    this.#readyState = 0
+    this.#binaryType = "blob"
+    this.#handlers = {}
+    this.#send = send
+    for (const type of ["open", "message", "error", "close"]) {
+      EventTarget.prototype.addEventListener.call(this, type, (event) => this.#handlers[type]?.call(this, event))
+    }
+  }
+
+  get url() {
+    return this.#url
+  }
+  get protocol() {
+    return this.#protocol
+  }
+  get extensions() {
+    return ""
+  }
+  get bufferedAmount() {
+    return 0
+  }
+  get readyState() {
+    return this.#readyState
+  }
+  get binaryType() {
+    return this.#binaryType
+  }
+  set binaryType(value) {
+    this.#binaryType = value
+  }
+  get onopen() {
+    return this.#handlers.open ?? null
+  }
+  set onopen(value) {
+    this.#handlers.open = value
+  }
+  get onmessage() {
+    return this.#handlers.message ?? null
+  }
+  set onmessage(value) {
+    this.#handlers.message = value
+  }
+  get onerror() {
+    return this.#handlers.error ?? null
+  }
+  set onerror(value) {
+    this.#handlers.error = value
+  }
+  get onclose() {
+    return this.#handlers.close ?? null
+  }
+  set onclose(value) {
+    this.#handlers.close = value
+  }
+
+  /**
+   * Send a frame to the fake server.
+   * @param {*} data - The frame.
+   */
+  send(data) {
+    if (this.#readyState === 0) {
+      throw new DOMException("Still in CONNECTING state.", "InvalidStateError")
+    }
+    if (this.#readyState === 1) {
+      this.#send(data)
+    }
+  }
+
+  /**
+   * Close the socket from the page side.
+   * @param {number} [code=1000] - The close code.
+   * @param {string} [reason=""] - The close reason.
+   */
+  close(code = 1000, reason = "") {
+    if (this.#readyState >= 2) {
+      return
+    }
+    this.#readyState = 2
+    setTimeout(() => this.settle("close", { code, reason, wasClean: true }))
+  }
+
+  /**
+   * Move the socket to a new state and fire the matching event. (Not for general use)
+   * @param {string} type - Either `"open"`, `"error"` or `"close"`.
+   * @param {Object} [init={}] - The event init, for close events.
+   */
+  settle(type, init = {}) {
+    if (this.#readyState === 3) {
+      return
+    }
+    if (type === "open") {
+      this.#readyState = 1
+    } else if (type === "close") {
+      this.#readyState = 3
+    }
+    this.dispatchEvent(CensorWebSocket.event(type, init))
+  }
+}
+
+/**
+ * The server side of a fake socket, passed to server handlers. Fires `message` events for frames the page sends, and a `close` event once the socket closed.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorSocketConnection extends EventTarget {
+  /**
+   * The page side socket.
+   * @type {CensorFakeSocket}
+   * @public
+   */
+  socket
+
+  /**
+   * The socket url.
+   * @type {string}
+   * @public
+   */
+  url
+
+  /**
+   * The protocols the page asked for.
+   * @type {string[]}
+   * @public
+   */
+  protocols
+  #deliver
+
+  /**
+   * Should only be called by CensorWebSocket.
+   * @param {CensorFakeSocket} socket - The page side socket.
+   * @param {string[]} protocols - The protocols the page asked for.
+   * @param {function(*):void} deliver - Delivers a frame to the page, after the incoming handles.
+   */
+  constructor(socket, protocols, deliver) {
+    super()
+    this.socket = socket
+    this.url = socket.url
+    this.protocols = protocols
+    this.#deliver = deliver
+  }
+
+  /**
+   * Send a frame to the page. Frames sent before the socket opened are delivered right after `open`.
+   * @param {*} data - The frame.
+   */
+  send(data) {
+    if (this.socket.readyState === 0) {
+      this.socket.addEventListener("open", () => this.send(data), { once: true })
+      return
+    }
+    if (this.socket.readyState === 1) {
+      setTimeout(() => this.#deliver(data))
+    }
+  }
+
+  /**
+   * Close the socket from the server side.
+   * @param {number} [code=1000] - The close code.
+   * @param {string} [reason=""] - The close reason.
+   */
+  close(code = 1000, reason = "") {
+    setTimeout(() => this.socket.settle("close", { code, reason, wasClean: code !== 1006 }))
+  }
+
+  /**
+   * Fail the socket, firing `error` and then a unclean `close`.
+   */
+  error() {
+    setTimeout(() => {
+      this.socket.settle("error")
+      this.socket.settle("close", { code: 1006, reason: "", wasClean: false })
+    })
+  }
+}
+
+/**
+ * Intercepts `WebSocket` at the message level. Create with `censor.websocket()`.
+ *
+ * Handles for incoming frames run once per frame, as long as the socket has a listener for it, and not once per listener.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorWebSocket {
+  /**
+   * The prototype mode censor of the `WebSocket` class.
+   * @type {CensorClass}
+   * @public
+   */
+  censor
+
+  /**
+   * The sockets created since the interceptor started that did not close yet.
+   * @type {Set<WebSocket>}
+   * @public
+   */
+  sockets
+
+  /**
+   * What happens when a handle throws or rejects.
+   * @type {errorPolicy}
+   * @public
+   */
+  onError
+  #target
+  #sendChain
+  #messageChain
+  #servers
+  #incoming
+  #synthetic
+  #closed
+  #Fake
+
+  /**
+   * Create a interceptor. Replaces `WebSocket` on the target with a wrapper that keeps `instanceof` working.
+   * @param {Object} [options={}] - The interceptor options.
+   * @param {Object} [options.target=globalThis] - The object `WebSocket` is taken from and replaced on.
+   * @param {errorPolicy} [options.onError="rethrow"] - What happens when a handle throws or rejects.
+   */
+  constructor(options = {}) {
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+    this.#target = options.target ?? globalThis
+    this.sockets = new Set()
+    this.#sendChain = []
+    this.#messageChain = []
+    this.#servers = []
+    this.#incoming = new WeakMap()
+    this.#synthetic = new WeakSet()
+    this.#closed = new WeakSet()
+
+    var cls = this.#target.WebSocket
+    CensorObject.typeCheck(cls, "function")
+    this.#Fake = function () {}
+    this.#Fake.prototype = Object.create(cls.prototype, Object.getOwnPropertyDescriptors(CensorFakeSocket.prototype))
+
+    this.censor = new CensorClass(cls, {
+      mode: "prototype",
+      name: "WebSocket",
+      implementOn: this.#target,
+      onError: this.onError,
+    })
+    this.censor
+      .whenCreate((ctx, url, protocols = []) => this.#create(ctx, url, protocols))
+      .whenCall("send", (ctx, data) => this.#send(ctx.subject, data, (data) => ctx.next(data)))
+      .on("message", (ctx, event) => {
+        var filtered = this.#receive(ctx.subject, event)
+        return filtered ? ctx.next(filtered) : undefined
+      })
+      .on("close", (ctx, event) => {
+        if (this.#closed.has(ctx.subject) && !this.#synthetic.has(event)) {
+          return undefined // Already closed by CensorWebSocket#close
+        }
+        return ctx.pass()
+      })
+  }
+
+  /**
+   * Create a event of the right class, falling back to a plain `Event` with the same properties.
+   * @param {string} type - The event type.
+   * @param {Object} [init={}] - The event init.
+   * @returns {Event}
+   */
+  static event(type, init = {}) {
+    var Type = { message: globalThis.MessageEvent, close: globalThis.CloseEvent }[type]
+    if (typeof Type === "function") {
+      return new Type(type, init)
+    }
+    var event = new Event(type)
+    for (const [name, value] of Object.entries(init)) {
+      Object.defineProperty(event, name, { value })
+    }
+    return event
+  }
+
+  /**
+   * Whether a server pattern matches a url. Strings are globs where `*` matches anything.
+   * @param {string|RegExp|function(string):boolean} pattern - The pattern.
+   * @param {string} url - The socket url.
+   * @returns {boolean}
+   */
+  static matches(pattern, url) {
+    if (typeof pattern === "function") {
+      return Boolean(pattern(url))
+    }
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0
+      return pattern.test(url)
+    }
+    return new RegExp("^" + pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$").test(url)
+  }
+
+  /**
+   * The create handle, connects to a fake server or the network and tracks the socket.
+   * @param {CensorContext} ctx - The create context.
+   * @param {string|URL} url - The socket url.
+   * @param {string|string[]} protocols - The protocols asked for.
+   * @returns {WebSocket} - The socket.
+   * @private
+   */
+  #create(ctx, url, protocols) {
+    url = new URL(url, this.#target.location?.href).href
+    protocols = [protocols].flat()
+    var server = this.#servers.find((server) => CensorWebSocket.matches(server.pattern, url))
+    var socket
+    if (!server) {
+      socket = ctx.pass()
+    } else {
+      let connection
+      let send = (data) =>
+        this.#send(socket, data, (data) => {
+          setTimeout(() => connection.dispatchEvent(CensorWebSocket.event("message", { data })))
+        })
+      let deliver = (data) => {
+        var filtered = this.#filter(socket, data)
+        if (filtered !== undefined) {
+          this.inject(socket, filtered)
+        }
+      }
+      socket = Reflect.construct(CensorFakeSocket, [url, protocols[0] ?? "", send], this.#Fake)
+      connection = new CensorSocketConnection(socket, protocols, deliver)
+      EventTarget.prototype.addEventListener.call(socket, "close", ({ code, reason, wasClean }) =>
+        connection.dispatchEvent(CensorWebSocket.event("close", { code, reason, wasClean })),
+      )
+      server.handler(connection)
+      setTimeout(() => socket.settle("open"))
+    }
+    this.sockets.add(socket)
+    EventTarget.prototype.addEventListener.call(socket, "close", () => this.sockets.delete(socket))
+    return socket
+  }
+
+  /**
+   * Run a outgoing frame through the send handles.
+   * @param {WebSocket} socket - The socket.
+   * @param {*} data - The frame.
+   * @param {function(*):*} original - Sends the frame.
+   * @returns {*} - The result of the send handles.
+   * @private
+   */
+  #send(socket, data, original) {
+    return CensorObject.runChain(this, "send", this.#sendChain, [data], original, socket)
+  }
+
+  /**
+   * Run a incoming frame through the message handles.
+   * @param {WebSocket} socket - The socket.
+   * @param {*} data - The frame.
+   * @returns {*} - The frame to deliver, `undefined` to drop it.
+   * @private
+   */
+  #filter(socket, data) {
+    return CensorObject.runChain(this, "message", this.#messageChain, [data], (data) => data, socket)
+  }
+
+  /**
+   * Run a incoming message event through the message handles once, however many listeners it reaches.
+   * @param {WebSocket} socket - The socket.
+   * @param {MessageEvent} event - The native event.
+   * @returns {MessageEvent|null} - The event to deliver, `null` to drop it.
+   * @private
+   */
+  #receive(socket, event) {
+    if (this.#synthetic.has(event)) {
+      return event
+    }
+    if (this.#closed.has(socket)) {
+      return null
+    }
+    if (!this.#incoming.has(event)) {
+      let data = this.#filter(socket, event.data)
+      let filtered = null
+      if (data === event.data) {
+        filtered = event
+      } else if (data !== undefined) {
+        filtered = CensorWebSocket.event("message", { data, origin: event.origin, lastEventId: event.lastEventId })
+        this.#synthetic.add(filtered)
+      }
+      this.#incoming.set(event, filtered)
+    }
+    return this.#incoming.get(event)
+  }
+
+  /**
+   * Register a handle for outgoing frames. Call `ctx.pass()` or `ctx.next(data)` to send, or neither to drop the frame. `ctx.subject` is the socket.
+   * @param {function(CensorContext, *):*} handle - The send handle.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenSend(handle, options = {}) {
+    return this.#register(this.#sendChain, handle, options)
+  }
+
+  /**
+   * Register a handle for incoming frames. Return `ctx.pass()`, `ctx.next(data)` or other data to deliver, or `undefined` to drop the frame. `ctx.subject` is the socket.
+   * @param {function(CensorContext, *):*} handle - The message handle.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   */
+  whenMessage(handle, options = {}) {
+    return this.#register(this.#messageChain, handle, options)
+  }
+
+  /**
+   * Add a handle to one of the frame chains.
+   * @param {Object[]} chain - The chain.
+   * @param {function(CensorContext, *):*} handle - The handle.
+   * @param {handleOptions} options - The handle options.
+   * @returns {CensorRegistration} - A disposable registration.
+   * @private
+   */
+  #register(chain, handle, options) {
+    CensorObject.typeCheck(handle, "function")
+    var entry = CensorObject.insertHandle(chain, handle, options)
+    return new CensorRegistration(this, () => {
+      var index = chain.indexOf(entry)
+      if (index !== -1) {
+        chain.splice(index, 1)
+      }
+    })
+  }
+
+  /**
+   * Answer sockets whose url matches `pattern` with a fake server instead of the network. The handler gets a {@link CensorSocketConnection} for every new socket.
+   * @param {string|RegExp|function(string):boolean} pattern - Which urls to answer, globs where `*` matches anything.
+   * @param {function(CensorSocketConnection):void} handler - The server handler.
+   * @returns {CensorWebSocket} - Returns self for chaining.
+   */
+  server(pattern, handler) {
+    CensorObject.typeCheck(handler, "function")
+    this.#servers.push({ pattern, handler })
+    return this
+  }
+
+  /**
+   * Deliver a message to a socket as if it came from the server, without running the message handles.
+   * @param {WebSocket} socket - The socket.
+   * @param {*} data - The message data. `ArrayBuffer`s and views become `Blob`s when the socket's `binaryType` is `"blob"`.
+   * @returns {CensorWebSocket} - Returns self for chaining.
+   */
+  inject(socket, data) {
+    if (typeof data !== "string" && socket.binaryType === "blob" && typeof Blob === "function" && !(data instanceof Blob)) {
+      data = new Blob([data])
+    }
+    var origin = new URL(socket.url).origin
+    var event = CensorWebSocket.event("message", { data, origin })
+    this.#synthetic.add(event)
+    socket.dispatchEvent(event)
+    return this
+  }
+
+  /**
+   * Simulate the server closing a socket. Real sockets are closed too, and their own close event is swallowed.
+   * @param {WebSocket} socket - The socket.
+   * @param {number} [code=1006] - The close code.
+   * @param {string} [reason=""] - The close reason.
+   * @returns {CensorWebSocket} - Returns self for chaining.
+   */
+  close(socket, code = 1006, reason = "") {
+    if (socket instanceof this.#Fake) {
+      socket.settle("close", { code, reason, wasClean: code !== 1006 })
+      return this
+    }
+    this.#closed.add(socket)
+    socket.close()
+    var event = CensorWebSocket.event("close", { code, reason, wasClean: code !== 1006 })
+    this.#synthetic.add(event)
+    socket.dispatchEvent(event)
+    return this
+  }
+
+  /**
+   * Simulate a connection error on a socket, firing `error` and then a unclean `close`.
+   * @param {WebSocket} socket - The socket.
+   * @returns {CensorWebSocket} - Returns self for chaining.
+   */
+  error(socket) {
+    if (socket instanceof this.#Fake) {
+      socket.settle("error")
+    } else {
+      socket.dispatchEvent(CensorWebSocket.event("error"))
+    }
+    return this.close(socket, 1006)
+  }
+
+  /**
+   * Stop intercepting and put the original `WebSocket` back. Open sockets keep working, without handles.
+   */
+  dispose() {
+    this.#sendChain.splice(0)
+    this.#messageChain.splice(0)
+    this.#servers = []
+    this.censor.restoreAll()
+    if (this.#target.WebSocket === this.censor.genFunc()) {
+      this.#target.WebSocket = this.censor.cls
+    }
+  }
+}
+
+/**
+ * Start intercepting `WebSocket`. See {@link CensorWebSocket}.
+ * @example
+ * var sockets = censor.websocket()
+ * sockets.whenSend((ctx, data) => ctx.next(data.replace("secret", "***")))
+ * @param {Object} [options] - Options to pass to the CensorWebSocket constructor.
+ * @returns {CensorWebSocket} - The interceptor.
+ */
+censor.websocket = (options) => new CensorWebSocket(options)
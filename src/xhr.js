@@ -0,0 +1,461 @@
+/**
+ * `XMLHttpRequest` interception built on the Censor core. Collects what `open`, `setRequestHeader` and `send` were called with into one request, runs it through request handles that can answer with a mock or change the real response, and delivers the result with the same events a real request fires.
+ * @module XHR
+ * @example
+ * censor.xhr().whenRequest(async (ctx, request) => {
+ *   if (request.url.endsWith("/config")) {
+ *     return { status: 200, headers: { "content-type": "application/json" }, body: { debug: true } }
+ *   }
+ *   var response = await ctx.pass()
+ *   response.body = response.body.replace("ads", "")
+ *   return response
+ * })
+ */
+
+/**
+ * A request as seen by a request handle. Changes made to it before `ctx.pass()` or passing a modified copy to `ctx.next()` change the real request.
+ * @typedef {Object} xhrRequest
+ * @property {string} method - The upper case request method.
+ * @property {string} url - The absolute request url.
+ * @property {Object<string, string>} headers - The request headers, by lower case name.
+ * @property {*} body - What `send` was called with.
+ * @property {string} responseType - The `responseType` of the request.
+ * @property {number} timeout - The `timeout` of the request.
+ * @property {boolean} withCredentials - The `withCredentials` of the request.
+ * @property {string} [user] - The user passed to `open`.
+ * @property {string} [password] - The password passed to `open`.
+ */
+
+/**
+ * A response returned by a request handle, or resolved by `ctx.pass()`. Missing fields take their defaults.
+ * @typedef {Object} xhrResponse
+ * @property {number} [status=200] - The response status.
+ * @property {string} [statusText=""] - The response status text.
+ * @property {Object<string, string>} [headers={}] - The response headers.
+ * @property {string|ArrayBuffer|ArrayBufferView|Blob|Object} [body=""] - The response body, converted to match the `responseType`. Real responses have text, or a `ArrayBuffer` or `Blob` for those response types.
+ * @property {string} [url] - The `responseURL`, the request url by default.
+ * @property {boolean} [error] - Fail the request like a network error instead.
+ */
+
+/**
+ * Intercepts `XMLHttpRequest` at the request level. Create with `censor.xhr()`.
+ *
+ * While no request handle is registered, requests are left completely alone. Otherwise every asynchronous request runs through the handles, and the real request (if a handle passes it on) is made by a separate internal `XMLHttpRequest`. Synchronous requests always go straight to the network.
+ * @class
+ * @constructor
+ * @public
+ */
+class CensorXHR {
+  /**
+   * The `XMLHttpRequest.prototype` that is censored.
+   * @type {Object}
+   * @public
+   */
+  object
+
+  /**
+   * What happens when a request handle throws or rejects.
+   * @type {errorPolicy}
+   * @public
+   */
+  onError
+  #XHR
+  #chain
+  #states
+  #internal
+  #networkErrors
+  #registration
+
+  /**
+   * Create a interceptor.
+   * @param {Object} [options={}] - The interceptor options.
+   * @param {Object} [options.target=globalThis] - The object `XMLHttpRequest` is taken from.
+   * @param {errorPolicy} [options.onError="rethrow"] - What happens when a request handle throws or rejects. Rethrown errors are reported with `reportError` and the request fails like a network error.
+   */
+  constructor(options = {}) {
+    this.onError = options.onError ?? "rethrow"
+    CensorObject.checkPolicy(this.onError)
+    this.#XHR = (options.target ?? globalThis).XMLHttpRequest
+    CensorObject.typeCheck(this.#XHR, "function")
+    this.object = this.#XHR.prototype
+    this.#chain = []
+    this.#states = new WeakMap()
+    this.#internal = new WeakSet()
+    this.#networkErrors = new WeakSet()
+
+    var base = () => (options.target ?? globalThis).location?.href
+    this.#registration = new CensorObject(this.object)
+      .whenCall("open", (ctx, method, url, async = true, user, password) => {
+        if (!this.#internal.has(ctx.subject)) {
+          let previous = this.#states.get(ctx.subject)
+          if (previous?.pending) {
+            previous.pending = false // Reopening cancels the running request, its response is never delivered
+            previous.internal?.abort()
+          }
+          CensorXHR.#reset(ctx.subject)
+          this.#states.set(ctx.subject, {
+            request: {
+              method: String(method).toUpperCase(),
+              url: new URL(url, base()).href,
+              headers: {},
+              async: Boolean(async),
+              user,
+              password,
+            },
+          })
+        }
+        return ctx.pass()
+      })
+      .whenCall("setRequestHeader", (ctx, name, value) => {
+        var headers = this.#states.get(ctx.subject)?.request.headers
+        if (headers && !this.#internal.has(ctx.subject)) {
+          name = String(name).toLowerCase()
+          headers[name] = name in headers ? headers[name] + ", " + value : String(value)
+        }
+        return ctx.pass()
+      })
+      .whenCall("send", (ctx, body) => {
+        var state = this.#states.get(ctx.subject)
+        if (this.#internal.has(ctx.subject) || !state?.request.async || this.#chain.length === 0) {
+          return ctx.pass()
+        }
+        this.#intercept(ctx.subject, state, body)
+        return undefined
+      })
+      .whenCall("abort", (ctx) => {
+        var state = this.#states.get(ctx.subject)
+        if (!state?.pending) {
+          return ctx.pass()
+        }
+        state.pending = false
+        state.internal?.abort()
+        CensorXHR.#finish(ctx.subject, "abort")
+        CensorXHR.#define(ctx.subject, "readyState", 0)
+        return undefined
+      })
+  }
+
+  /**
+   * Define a own property on a request, shadowing the native accessor.
+   * @param {XMLHttpRequest} xhr - The request.
+   * @param {string} name - The property name.
+   * @param {*} value - The value.
+   * @private
+   */
+  static #define(xhr, name, value) {
+    Object.defineProperty(xhr, name, { value, configurable: true })
+  }
+
+  /**
+   * Remove the properties defined by a previous delivery, so a reopened request uses its native accessors again.
+   * @param {XMLHttpRequest} xhr - The request.
+   * @private
+   */
+  static #reset(xhr) {
+    for (const name of [
+      "readyState",
+      "status",
+      "statusText",
+      "responseURL",
+      "response",
+      "responseText",
+      "responseXML",
+      "getResponseHeader",
+      "getAllResponseHeaders",
+    ]) {
+      delete xhr[name]
+    }
+  }
+
+  /**
+   * Dispatch a progress event on a request.
+   * @param {XMLHttpRequest} xhr - The request.
+   * @param {string} type - The event type.
+   * @private
+   */
+  static #fire(xhr, type) {
+    xhr.dispatchEvent(typeof ProgressEvent === "function" ? new ProgressEvent(type) : new Event(type))
+  }
+
+  /**
+   * End a request without a response, firing `readystatechange`, `type` and `loadend`.
+   * @param {XMLHttpRequest} xhr - The request.
+   * @param {string} type - Either `"error"`, `"abort"` or `"timeout"`.
+   * @private
+   */
+  static #finish(xhr, type) {
+    CensorXHR.#define(xhr, "readyState", 4)
+    CensorXHR.#define(xhr, "status", 0)
+    CensorXHR.#define(xhr, "statusText", "")
+    CensorXHR.#fire(xhr, "readystatechange")
+    CensorXHR.#fire(xhr, type)
+    CensorXHR.#fire(xhr, "loadend")
+  }
+
+  /**
+   * Convert a response body into what `response` and `responseText` return for a response type.
+   * @param {*} body - The response body.
+   * @param {string} responseType - The response type.
+   * @param {string} mimeType - The response content type.
+   * @returns {Promise<{text: string, response: *}>}
+   * @private
+   */
+  static async #convert(body, responseType, mimeType) {
+    if (typeof Blob === "function" && body instanceof Blob) {
+      body = responseType === "blob" ? body : await body.arrayBuffer()
+    }
+    if (ArrayBuffer.isView(body)) {
+      body = body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+    }
+    var text
+    if (typeof body === "string") {
+      text = body
+    } else if (body instanceof ArrayBuffer) {
+      text = new TextDecoder().decode(body)
+    } else if (body === undefined || body === null) {
+      text = ""
+    } else if (responseType !== "blob") {
+      text = JSON.stringify(body)
+    }
+
+    switch (responseType) {
+      case "arraybuffer":
+        return { text, response: body instanceof ArrayBuffer ? body : new TextEncoder().encode(text).buffer }
+      case "blob":
+        return { text, response: body instanceof Blob ? body : new Blob([body ?? text], { type: mimeType }) }
+      case "json":
+        if (typeof body === "object" && body !== null && !(body instanceof ArrayBuffer)) {
+          return { text, response: body }
+        }
+        try {
+          return { text, response: JSON.parse(text) }
+        } catch {
+          return { text, response: null } // Like a real request with a invalid JSON body
+        }
+      case "document": {
+        let type = /html/.test(mimeType) ? "text/html" : "text/xml"
+        return { text, response: typeof DOMParser === "function" ? new DOMParser().parseFromString(text, type) : null }
+      }
+      default:
+        return { text, response: text }
+    }
+  }
+
+  /**
+   * Deliver a response to a request, firing the same `readystatechange`, `progress`, `load` and `loadend` sequence as a real one.
+   * @param {XMLHttpRequest} xhr - The request.
+   * @param {xhrRequest} request - The request details.
+   * @param {xhrResponse} response - The response.
+   * @private
+   */
+  static async #deliver(xhr, request, response) {
+    var headers = {}
+    for (const [name, value] of Object.entries(response.headers ?? {})) {
+      headers[name.toLowerCase()] = String(value)
+    }
+    var raw = Object.keys(headers)
+      .sort()
+      .map((name) => name + ": " + headers[name] + "\r\n")
+      .join("")
+    var { text, response: body } = await CensorXHR.#convert(
+      response.body,
+      request.responseType,
+      headers["content-type"] ?? "",
+    )
+
+    var define = (name, value) => CensorXHR.#define(xhr, name, value)
+    define("responseURL", response.url ?? request.url)
+    define("status", response.status ?? 200)
+    define("statusText", response.statusText ?? "")
+    define("getAllResponseHeaders", () => raw)
+    define("getResponseHeader", (name) => headers[String(name).toLowerCase()] ?? null)
+    define("readyState", 2)
+    CensorXHR.#fire(xhr, "readystatechange")
+    define("readyState", 3)
+    CensorXHR.#fire(xhr, "readystatechange")
+    CensorXHR.#fire(xhr, "progress")
+
+    define("response", body)
+    if (["", "text"].includes(request.responseType)) {
+      define("responseText", text)
+    }
+    if (request.responseType === "document") {
+      define("responseXML", body)
+    }
+    define("readyState", 4)
+    CensorXHR.#fire(xhr, "readystatechange")
+    CensorXHR.#fire(xhr, "load")
+    CensorXHR.#fire(xhr, "loadend")
+  }
+
+  /**
+   * Run a sent request through the handles and deliver the outcome.
+   * @param {XMLHttpRequest} xhr - The request.
+   * @param {Object} state - The request state.
+   * @param {*} body - What `send` was called with.
+   * @private
+   */
+  #intercept(xhr, state, body) {
+    var request = {
+      ...state.request,
+      body,
+      responseType: xhr.responseType,
+      timeout: xhr.timeout,
+      withCredentials: xhr.withCredentials,
+    }
+    state.pending = true
+    CensorXHR.#fire(xhr, "loadstart")
+
+    var result
+    try {
+      result = CensorObject.runChain(this, "request", this.#chain, [request], (request) => this.#send(state, request), xhr)
+    } catch (error) {
+      result = Promise.reject(error)
+    }
+    var timeout = request.timeout > 0 ? request.timeout : undefined
+    CensorObject.withDeadline(Promise.resolve(result), { timeout }).then(
+      (response) => {
+        if (!state.pending) {
+          return // Aborted
+        }
+        state.pending = false
+        if (response === undefined || response.error) {
+          CensorXHR.#finish(xhr, "error")
+        } else {
+          return CensorXHR.#deliver(xhr, request, response)
+        }
+      },
+      (error) => {
+        if (!state.pending) {
+          return
+        }
+        state.pending = false
+        if (error?.name === "TimeoutError") {
+          state.internal?.abort()
+          CensorXHR.#finish(xhr, "timeout")
+          return
+        }
+        CensorXHR.#finish(xhr, "error")
+        if (!this.#networkErrors.has(error)) {
+          CensorXHR.#report(error)
+        }
+      },
+    ).catch((error) => {
+      if (xhr.readyState !== 4) {
+        CensorXHR.#finish(xhr, "error") // The response could not be delivered, eg. a mock body that can't be converted
+      }
+      CensorXHR.#report(error)
+    })
+  }
+
+  /**
+   * Report a error that has no caller to reject, with `reportError` where there is one.
+   * @param {*} error - The error.
+   * @private
+   */
+  static #report(error) {
+    if (typeof reportError === "function") {
+      reportError(error)
+    } else {
+      setTimeout(() => {
+        throw error
+      })
+    }
+  }
+
+  /**
+   * Make the real request with a internal `XMLHttpRequest`. Used at the end of the handle chain.
+   * @param {Object} state - The request state.
+   * @param {xhrRequest} request - The request, as changed by the handles.
+   * @returns {Promise<xhrResponse>} - The real response.
+   * @private
+   */
+  #send(state, request) {
+    return new Promise((resolve, reject) => {
+      if (!state.pending) {
+        reject(new DOMException("The request was aborted or timed out.", "AbortError"))
+        return
+      }
+      var xhr = new this.#XHR()
+      this.#internal.add(xhr)
+      state.internal = xhr
+      xhr.open(request.method, request.url, true, request.user, request.password)
+      for (const [name, value] of Object.entries(request.headers)) {
+        xhr.setRequestHeader(name, value)
+      }
+      xhr.responseType = ["arraybuffer", "blob"].includes(request.responseType) ? request.responseType : "text"
+      xhr.withCredentials = request.withCredentials
+      xhr.addEventListener("load", () => {
+        var headers = {}
+        for (const line of xhr.getAllResponseHeaders().split(/[\r\n]+/)) {
+          let index = line.indexOf(":")
+          if (index !== -1) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim()
+          }
+        }
+        resolve({
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers,
+          body: xhr.response,
+          url: xhr.responseURL || request.url,
+        })
+      })
+      xhr.addEventListener("error", () => {
+        var error = new TypeError("Network request failed")
+        this.#networkErrors.add(error) // Only errors from handles are reported
+        reject(error)
+      })
+      xhr.send(request.body)
+    })
+  }
+
+  /**
+   * Register a request handle. The handle gets the context and the {@link xhrRequest}, `ctx.pass()` resolves with the real {@link xhrResponse}, and whatever the handle returns (or resolves with) is delivered. Returning nothing or `{ error: true }` fails the request like a network error.
+   * @example
+   * censor.xhr().whenRequest((ctx, request) => {
+   *   request.headers["x-debug"] = "1"
+   *   return ctx.pass()
+   * })
+   * @param {function(CensorContext, xhrRequest):(xhrResponse|Promise<xhrResponse>)} handle - The request handle.
+   * @param {handleOptions} [options={}] - The handle options.
+   * @returns {CensorRegistration} - A disposable registration, can be chained with `whenRequest`.
+   */
+  whenRequest(handle, options = {}) {
+    CensorObject.typeCheck(handle, "function")
+    var entry = CensorObject.insertHandle(this.#chain, handle, options)
+    var chained = []
+    var registration = new CensorRegistration(this, () => {
+      for (const other of chained.reverse()) {
+        other.dispose()
+      }
+      chained = []
+      var index = this.#chain.indexOf(entry)
+      if (index !== -1) {
+        this.#chain.splice(index, 1)
+      }
+    })
+    registration.whenRequest = (...args) => {
+      chained.push(this.whenRequest(...args))
+      return registration
+    } // The core helpers like whenCall don't apply to a interceptor
+    return registration
+  }
+
+  /**
+   * Remove every request handle and put the `XMLHttpRequest` functions back. Requests already running still finish.
+   */
+  dispose() {
+    this.#chain.splice(0)
+    this.#registration.dispose()
+  }
+}
+
+/**
+ * Start intercepting `XMLHttpRequest`. See {@link CensorXHR}.
+ * @example
+ * var registration = censor.xhr().whenRequest((ctx, request) => ({ status: 204 }))
+ * @param {Object} [options] - Options to pass to the CensorXHR constructor.
+ * @returns {CensorXHR} - The interceptor.
+ */
+censor.xhr = (options) => new CensorXHR(options)